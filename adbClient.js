@@ -0,0 +1,377 @@
+const net = require('net');
+const fs = require('fs');
+const { createError } = require('./i18n');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = Number(process.env.ANDROID_ADB_SERVER_PORT) || 5037;
+const HIGH_WATER_MARK = 1024 * 1024;
+const START_SERVER_MIN_BACKOFF_MS = 2000;
+const START_SERVER_MAX_BACKOFF_MS = 60000;
+
+let serverHost = DEFAULT_HOST;
+let serverPort = DEFAULT_PORT;
+let startServer = null;
+let startingServer = null;
+let startServerFailure = null;
+let startServerBackoffMs = 0;
+let startServerRetryAt = 0;
+
+function configure(options = {}) {
+  if (typeof options.host === 'string' && options.host.trim()) {
+    serverHost = options.host.trim();
+  }
+  if (Number.isInteger(options.port) && options.port > 0) {
+    serverPort = options.port;
+  }
+  if (typeof options.startServer === 'function') {
+    startServer = options.startServer;
+  }
+}
+
+function createConnection(socket) {
+  const chunks = [];
+  let buffered = 0;
+  let ended = false;
+  let failure = null;
+  let pending = null;
+
+  function take(length) {
+    const data = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, buffered);
+    chunks.length = 0;
+    const rest = data.subarray(length);
+    if (rest.length) chunks.push(rest);
+    buffered = rest.length;
+    return data.subarray(0, length);
+  }
+
+  function flush() {
+    if (!pending) return;
+    const { length, resolve, reject } = pending;
+    if (failure) {
+      pending = null;
+      reject(failure);
+      return;
+    }
+    if (length === Infinity) {
+      if (!ended) return;
+      pending = null;
+      resolve(take(buffered));
+      return;
+    }
+    if (buffered >= length) {
+      pending = null;
+      resolve(take(length));
+      return;
+    }
+    if (ended) {
+      pending = null;
+      reject(createError('ADB_CONNECTION_CLOSED'));
+    }
+  }
+
+  socket.on('data', chunk => {
+    chunks.push(chunk);
+    buffered += chunk.length;
+    if (buffered > HIGH_WATER_MARK && !(pending && pending.length === Infinity)) {
+      socket.pause();
+    }
+    flush();
+  });
+  socket.on('end', () => {
+    ended = true;
+    flush();
+  });
+  socket.on('close', () => {
+    ended = true;
+    flush();
+  });
+  socket.on('error', error => {
+    failure = error;
+    flush();
+  });
+
+  function read(length) {
+    if (pending) {
+      return Promise.reject(createError('ADB_READ_PENDING'));
+    }
+    return new Promise((resolve, reject) => {
+      pending = { length, resolve, reject };
+      if (socket.isPaused()) socket.resume();
+      flush();
+    });
+  }
+
+  function abort(error) {
+    failure = error;
+    socket.destroy();
+    flush();
+  }
+
+  return {
+    read,
+    readAll: () => read(Infinity),
+    write: data => socket.write(data),
+    abort,
+    close: () => socket.destroy()
+  };
+}
+
+function connect() {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host: serverHost, port: serverPort });
+    const onError = error => {
+      socket.destroy();
+      reject(error);
+    };
+    socket.once('error', onError);
+    socket.once('connect', () => {
+      socket.removeListener('error', onError);
+      socket.setNoDelay(true);
+      resolve(createConnection(socket));
+    });
+  });
+}
+
+// Si adb no arranca se espera cada vez más antes de volver a lanzarlo
+async function ensureServerStarted() {
+  if (!startingServer) {
+    if (startServerFailure && Date.now() < startServerRetryAt) {
+      throw startServerFailure;
+    }
+    startingServer = Promise.resolve()
+      .then(() => startServer())
+      .then(() => {
+        startServerFailure = null;
+        startServerBackoffMs = 0;
+      }, error => {
+        startServerFailure = error;
+        startServerBackoffMs = Math.min(Math.max(startServerBackoffMs * 2, START_SERVER_MIN_BACKOFF_MS), START_SERVER_MAX_BACKOFF_MS);
+        startServerRetryAt = Date.now() + startServerBackoffMs;
+        throw error;
+      })
+      .finally(() => {
+        startingServer = null;
+      });
+  }
+  return startingServer;
+}
+
+async function openConnection() {
+  try {
+    return await connect();
+  } catch (error) {
+    if (!error || error.code !== 'ECONNREFUSED' || typeof startServer !== 'function') {
+      throw error;
+    }
+    await ensureServerStarted();
+    return connect();
+  }
+}
+
+function encodeRequest(payload) {
+  const body = Buffer.from(payload, 'utf8');
+  const length = Buffer.from(body.length.toString(16).padStart(4, '0'), 'ascii');
+  return Buffer.concat([length, body]);
+}
+
+async function readLengthPrefixed(connection) {
+  const header = (await connection.read(4)).toString('ascii');
+  const length = Number.parseInt(header, 16);
+  if (!Number.isFinite(length)) {
+    throw createError('ADB_INVALID_RESPONSE');
+  }
+  return (await connection.read(length)).toString('utf8');
+}
+
+async function sendRequest(connection, payload) {
+  connection.write(encodeRequest(payload));
+  const status = (await connection.read(4)).toString('ascii');
+  if (status === 'OKAY') return;
+  if (status === 'FAIL') {
+    const message = await readLengthPrefixed(connection);
+    throw createError('ADB_REQUEST_REJECTED', { details: message });
+  }
+  throw createError('ADB_UNEXPECTED_RESPONSE', { status });
+}
+
+async function hostQuery(service) {
+  const connection = await openConnection();
+  try {
+    await sendRequest(connection, service);
+    return await readLengthPrefixed(connection);
+  } finally {
+    connection.close();
+  }
+}
+
+async function openTransport(serial, signal) {
+  if (signal && signal.aborted) throw createError('OPERATION_CANCELLED');
+  const connection = await openConnection();
+
+  if (signal) {
+    const onAbort = () => connection.abort(createError('OPERATION_CANCELLED'));
+    signal.addEventListener('abort', onAbort, { once: true });
+    const close = connection.close;
+    connection.close = () => {
+      signal.removeEventListener('abort', onAbort);
+      close();
+    };
+    if (signal.aborted) onAbort();
+  }
+
+  try {
+    await sendRequest(connection, serial ? `host:transport:${serial}` : 'host:transport-any');
+    return connection;
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+}
+
+async function runService(serial, service, options = {}) {
+  const connection = await openTransport(serial, options.signal);
+  try {
+    await sendRequest(connection, service);
+    return await connection.readAll();
+  } finally {
+    connection.close();
+  }
+}
+
+function listDevices() {
+  return hostQuery('host:devices-l');
+}
+
+function trackDevices(onFrame) {
+  let connection = null;
+  let closed = false;
+
+  const done = (async () => {
+    connection = await openConnection();
+    if (closed) {
+      connection.close();
+      return;
+    }
+    await sendRequest(connection, 'host:track-devices-l');
+    while (!closed) {
+      const frame = await readLengthPrefixed(connection);
+      onFrame(frame);
+    }
+  })();
+
+  return {
+    done: done.catch(error => {
+      if (!closed) throw error;
+    }),
+    close: () => {
+      closed = true;
+      if (connection) connection.close();
+    }
+  };
+}
+
+async function shell(serial, command, options) {
+  return (await runService(serial, `shell:${command}`, options)).toString('utf8');
+}
+
+async function openShell(serial, command, options = {}) {
+  const connection = await openTransport(serial, options.signal);
+  try {
+    await sendRequest(connection, `shell:${command}`);
+    return connection;
+  } catch (error) {
+    connection.close();
+    throw error;
+  }
+}
+
+function execOut(serial, command, options) {
+  return runService(serial, `exec:${command}`, options);
+}
+
+function quoteShellArg(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+async function readRange(serial, remotePath, offset, length, options) {
+  if (length <= 0) return Buffer.alloc(0);
+  const command = `tail -c +${offset + 1} ${quoteShellArg(remotePath)} | head -c ${length}`;
+  const data = await execOut(serial, command, options);
+  if (data.length !== length) {
+    throw createError('ADB_PARTIAL_READ', { path: remotePath, received: data.length, expected: length });
+  }
+  return data;
+}
+
+function syncHeader(id, length) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 4, 'ascii');
+  header.writeUInt32LE(length, 4);
+  return header;
+}
+
+async function stat(serial, remotePath, options = {}) {
+  const connection = await openTransport(serial, options.signal);
+  try {
+    await sendRequest(connection, 'sync:');
+    const pathBuffer = Buffer.from(remotePath, 'utf8');
+    connection.write(Buffer.concat([syncHeader('STAT', pathBuffer.length), pathBuffer]));
+    const response = await connection.read(16);
+    if (response.toString('ascii', 0, 4) !== 'STAT') {
+      throw createError('ADB_SYNC_UNEXPECTED', { response: remotePath });
+    }
+    const mode = response.readUInt32LE(4);
+    if (!mode) {
+      throw createError('ADB_FILE_NOT_FOUND', { path: remotePath });
+    }
+    connection.write(syncHeader('QUIT', 0));
+    return { mode, size: response.readUInt32LE(8), mtime: response.readUInt32LE(12) };
+  } finally {
+    connection.close();
+  }
+}
+
+async function pull(serial, remotePath, localPath, options = {}) {
+  const connection = await openTransport(serial, options.signal);
+  let handle = null;
+  try {
+    await sendRequest(connection, 'sync:');
+    const pathBuffer = Buffer.from(remotePath, 'utf8');
+    connection.write(Buffer.concat([syncHeader('RECV', pathBuffer.length), pathBuffer]));
+    handle = await fs.promises.open(localPath, 'w');
+
+    for (;;) {
+      const header = await connection.read(8);
+      const id = header.toString('ascii', 0, 4);
+      const length = header.readUInt32LE(4);
+      if (id === 'DATA') {
+        await handle.write(await connection.read(length));
+        continue;
+      }
+      if (id === 'DONE') break;
+      if (id === 'FAIL') {
+        const message = (await connection.read(length)).toString('utf8');
+        throw createError('ADB_PULL_FAILED', { path: remotePath, details: message });
+      }
+      throw createError('ADB_SYNC_UNEXPECTED', { response: id });
+    }
+
+    connection.write(syncHeader('QUIT', 0));
+  } finally {
+    if (handle) await handle.close();
+    connection.close();
+  }
+}
+
+module.exports = {
+  configure,
+  listDevices,
+  trackDevices,
+  shell,
+  openShell,
+  execOut,
+  quoteShellArg,
+  readRange,
+  stat,
+  pull
+};
@@ -0,0 +1,492 @@
+const { openZip } = require('./zipReader');
+const { createError } = require('./i18n');
+
+const CHUNK_STRING_POOL = 0x0001;
+const CHUNK_TABLE = 0x0002;
+const CHUNK_XML = 0x0003;
+const CHUNK_XML_START_ELEMENT = 0x0102;
+const CHUNK_XML_END_ELEMENT = 0x0103;
+const CHUNK_XML_RESOURCE_MAP = 0x0180;
+const CHUNK_TABLE_PACKAGE = 0x0200;
+const CHUNK_TABLE_TYPE = 0x0201;
+
+const STRING_POOL_UTF8 = 0x100;
+const TYPE_FLAG_SPARSE = 0x01;
+const TYPE_FLAG_OFFSET16 = 0x02;
+const ENTRY_FLAG_COMPLEX = 0x0001;
+const ENTRY_FLAG_COMPACT = 0x0008;
+const NO_ENTRY = 0xffffffff;
+
+const VALUE_TYPE_REFERENCE = 0x01;
+const VALUE_TYPE_STRING = 0x03;
+const VALUE_TYPE_DYNAMIC_REFERENCE = 0x07;
+const VALUE_TYPE_FIRST_COLOR = 0x1c;
+const VALUE_TYPE_LAST_COLOR = 0x1f;
+
+const ATTR_LABEL = 0x01010001;
+const ATTR_ICON = 0x01010002;
+const ATTR_SRC = 0x01010119;
+const ATTR_DRAWABLE = 0x01010199;
+const ATTR_VERSION_CODE = 0x0101021b;
+const ATTR_VERSION_NAME = 0x0101021c;
+const APP_PACKAGE_ID = 0x7f;
+const MAX_REFERENCE_DEPTH = 8;
+const DENSITY_DEFAULT = 0;
+const DENSITY_MEDIUM = 160;
+const DENSITY_ANY = 0xfffe;
+const DENSITY_NONE = 0xffff;
+const RASTER_EXTENSIONS = ['png', 'webp', 'jpg', 'jpeg'];
+
+const MANIFEST_ENTRY = 'AndroidManifest.xml';
+const RESOURCES_ENTRY = 'resources.arsc';
+
+function parseStringPool(buffer, offset) {
+  const headerSize = buffer.readUInt16LE(offset + 2);
+  const count = buffer.readUInt32LE(offset + 8);
+  const isUtf8 = (buffer.readUInt32LE(offset + 16) & STRING_POOL_UTF8) !== 0;
+  const stringsStart = offset + buffer.readUInt32LE(offset + 20);
+  const offsetsStart = offset + headerSize;
+  const decoded = new Map();
+
+  function decodeUtf8(position) {
+    let cursor = position;
+    cursor += buffer[cursor] & 0x80 ? 2 : 1;
+    let byteLength = buffer[cursor];
+    if (byteLength & 0x80) {
+      byteLength = ((byteLength & 0x7f) << 8) | buffer[cursor + 1];
+      cursor += 2;
+    } else {
+      cursor += 1;
+    }
+    return buffer.toString('utf8', cursor, cursor + byteLength);
+  }
+
+  function decodeUtf16(position) {
+    let length = buffer.readUInt16LE(position);
+    let cursor = position + 2;
+    if (length & 0x8000) {
+      length = ((length & 0x7fff) << 16) | buffer.readUInt16LE(cursor);
+      cursor += 2;
+    }
+    return buffer.toString('utf16le', cursor, cursor + length * 2);
+  }
+
+  return {
+    count,
+    get(index) {
+      if (!Number.isInteger(index) || index < 0 || index >= count) return null;
+      if (decoded.has(index)) return decoded.get(index);
+      const position = stringsStart + buffer.readUInt32LE(offsetsStart + index * 4);
+      const value = isUtf8 ? decodeUtf8(position) : decodeUtf16(position);
+      decoded.set(index, value);
+      return value;
+    }
+  };
+}
+
+function parseBinaryXml(buffer) {
+  if (!buffer || buffer.length < 8 || buffer.readUInt16LE(0) !== CHUNK_XML) {
+    throw createError('APK_XML_INVALID');
+  }
+
+  let strings = null;
+  let resourceIds = [];
+  const root = { name: '', attributes: [], children: [] };
+  const stack = [root];
+  let offset = buffer.readUInt16LE(2);
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.readUInt16LE(offset);
+    const headerSize = buffer.readUInt16LE(offset + 2);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (size < 8 || offset + size > buffer.length) break;
+
+    if (type === CHUNK_STRING_POOL && !strings) {
+      strings = parseStringPool(buffer, offset);
+    } else if (type === CHUNK_XML_RESOURCE_MAP) {
+      resourceIds = [];
+      for (let position = offset + headerSize; position + 4 <= offset + size; position += 4) {
+        resourceIds.push(buffer.readUInt32LE(position));
+      }
+    } else if (type === CHUNK_XML_START_ELEMENT && strings) {
+      const body = offset + headerSize;
+      const attributeStart = buffer.readUInt16LE(body + 8);
+      const attributeSize = buffer.readUInt16LE(body + 10);
+      const attributeCount = buffer.readUInt16LE(body + 12);
+      const attributes = [];
+      for (let index = 0; index < attributeCount; index += 1) {
+        const position = body + attributeStart + index * attributeSize;
+        const nameIndex = buffer.readUInt32LE(position + 4);
+        const rawIndex = buffer.readUInt32LE(position + 8);
+        attributes.push({
+          name: strings.get(nameIndex) || '',
+          resourceId: resourceIds[nameIndex] || 0,
+          rawValue: rawIndex === NO_ENTRY ? null : strings.get(rawIndex),
+          type: buffer[position + 15],
+          data: buffer.readUInt32LE(position + 16)
+        });
+      }
+      const element = { name: strings.get(buffer.readUInt32LE(body + 4)) || '', attributes, children: [] };
+      stack[stack.length - 1].children.push(element);
+      stack.push(element);
+    } else if (type === CHUNK_XML_END_ELEMENT && stack.length > 1) {
+      stack.pop();
+    }
+
+    offset += size;
+  }
+
+  return root.children[0] || null;
+}
+
+function findAttribute(element, resourceId, name) {
+  if (!element) return null;
+  return element.attributes.find(attribute => attribute.resourceId === resourceId) ||
+    element.attributes.find(attribute => !attribute.resourceId && attribute.name === name) ||
+    null;
+}
+
+function decodeLocalePart(buffer, offset, baseChar) {
+  const first = buffer[offset];
+  const second = buffer[offset + 1];
+  if (!first) return '';
+  if (first & 0x80) {
+    const base = baseChar.charCodeAt(0);
+    return String.fromCharCode(
+      (second & 0x1f) + base,
+      ((second & 0xe0) >> 5) + ((first & 0x03) << 3) + base,
+      ((first & 0x7c) >> 2) + base
+    );
+  }
+  return String.fromCharCode(first, second);
+}
+
+function parseConfig(buffer, offset) {
+  const size = buffer.readUInt32LE(offset);
+  const language = size >= 12 ? decodeLocalePart(buffer, offset + 8, 'a') : '';
+  const region = size >= 12 ? decodeLocalePart(buffer, offset + 10, '0') : '';
+  const locale = language ? (region ? `${language}-${region}` : language) : '';
+  const density = size >= 16 ? buffer.readUInt16LE(offset + 14) : DENSITY_DEFAULT;
+  return { locale, density };
+}
+
+function parseTypeChunk(buffer, offset) {
+  const headerSize = buffer.readUInt16LE(offset + 2);
+  const flags = buffer[offset + 9];
+  const entryCount = buffer.readUInt32LE(offset + 12);
+  const entriesStart = offset + buffer.readUInt32LE(offset + 16);
+  const indexStart = offset + headerSize;
+
+  function findEntryOffset(index) {
+    if (flags & TYPE_FLAG_SPARSE) {
+      let low = 0;
+      let high = entryCount - 1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        const candidate = buffer.readUInt16LE(indexStart + middle * 4);
+        if (candidate === index) {
+          return entriesStart + buffer.readUInt16LE(indexStart + middle * 4 + 2) * 4;
+        }
+        if (candidate < index) low = middle + 1;
+        else high = middle - 1;
+      }
+      return -1;
+    }
+    if (index >= entryCount) return -1;
+    if (flags & TYPE_FLAG_OFFSET16) {
+      const value = buffer.readUInt16LE(indexStart + index * 2);
+      return value === 0xffff ? -1 : entriesStart + value * 4;
+    }
+    const value = buffer.readUInt32LE(indexStart + index * 4);
+    return value === NO_ENTRY ? -1 : entriesStart + value;
+  }
+
+  return {
+    id: buffer[offset + 8],
+    config: parseConfig(buffer, offset + 20),
+    findEntryOffset
+  };
+}
+
+function readEntryValue(buffer, offset) {
+  const flags = buffer.readUInt16LE(offset + 2);
+  if (flags & ENTRY_FLAG_COMPACT) {
+    return { type: flags >> 8, data: buffer.readUInt32LE(offset + 4) };
+  }
+  if (flags & ENTRY_FLAG_COMPLEX) return null;
+  const valueOffset = offset + buffer.readUInt16LE(offset);
+  return { type: buffer[valueOffset + 3], data: buffer.readUInt32LE(valueOffset + 4) };
+}
+
+function parsePackage(buffer, start, size) {
+  const types = new Map();
+  let offset = start + buffer.readUInt16LE(start + 2);
+  const end = start + size;
+  while (offset + 8 <= end) {
+    const type = buffer.readUInt16LE(offset);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    if (chunkSize < 8) break;
+    if (type === CHUNK_TABLE_TYPE) {
+      const chunk = parseTypeChunk(buffer, offset);
+      if (!types.has(chunk.id)) types.set(chunk.id, []);
+      types.get(chunk.id).push(chunk);
+    }
+    offset += chunkSize;
+  }
+  return { id: buffer.readUInt32LE(start + 8), types };
+}
+
+function parseResourceTable(buffer) {
+  if (!buffer || buffer.length < 12 || buffer.readUInt16LE(0) !== CHUNK_TABLE) {
+    throw createError('APK_RESOURCES_INVALID');
+  }
+
+  let strings = null;
+  const packages = new Map();
+  let offset = buffer.readUInt16LE(2);
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.readUInt16LE(offset);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (size < 8) break;
+    if (type === CHUNK_STRING_POOL && !strings) {
+      strings = parseStringPool(buffer, offset);
+    } else if (type === CHUNK_TABLE_PACKAGE) {
+      const pkg = parsePackage(buffer, offset, size);
+      packages.set(pkg.id, pkg);
+    }
+    offset += size;
+  }
+
+  return { buffer, strings, packages };
+}
+
+function isReference(type) {
+  return type === VALUE_TYPE_REFERENCE || type === VALUE_TYPE_DYNAMIC_REFERENCE;
+}
+
+function resolveResource(table, resourceId) {
+  const packageId = (resourceId >>> 24) || APP_PACKAGE_ID;
+  const pkg = table.packages.get(packageId);
+  if (!pkg) return [];
+  const chunks = pkg.types.get((resourceId >> 16) & 0xff) || [];
+  const index = resourceId & 0xffff;
+  const values = [];
+  chunks.forEach(chunk => {
+    const entryOffset = chunk.findEntryOffset(index);
+    if (entryOffset < 0) return;
+    const value = readEntryValue(table.buffer, entryOffset);
+    if (value) values.push({ config: chunk.config, value });
+  });
+  return values;
+}
+
+function collectLocalizedStrings(table, resourceId, depth = 0) {
+  const result = {};
+  if (depth > MAX_REFERENCE_DEPTH) return result;
+  resolveResource(table, resourceId).forEach(({ config, value }) => {
+    const { locale } = config;
+    if (value.type === VALUE_TYPE_STRING) {
+      if (!(locale in result) && table.strings) {
+        const text = table.strings.get(value.data);
+        if (text) result[locale] = text;
+      }
+      return;
+    }
+    if (!isReference(value.type)) return;
+    const nested = collectLocalizedStrings(table, value.data, depth + 1);
+    if (locale) {
+      const text = nested[locale] || nested[''];
+      if (text && !(locale in result)) result[locale] = text;
+      return;
+    }
+    Object.keys(nested).forEach(key => {
+      if (!(key in result)) result[key] = nested[key];
+    });
+  });
+  return result;
+}
+
+function isColor(type) {
+  return type >= VALUE_TYPE_FIRST_COLOR && type <= VALUE_TYPE_LAST_COLOR;
+}
+
+function formatColor(argb) {
+  const alpha = (argb >>> 24) & 0xff;
+  const rgb = (argb & 0xffffff).toString(16).padStart(6, '0');
+  return `#${rgb}${alpha.toString(16).padStart(2, '0')}`;
+}
+
+function getExtension(entryPath) {
+  const match = /\.([a-z0-9]+)$/i.exec(entryPath || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+function densityRank(density) {
+  if (density === DENSITY_ANY || density === DENSITY_NONE) return 0;
+  return density === DENSITY_DEFAULT ? DENSITY_MEDIUM : density;
+}
+
+function collectDrawableCandidates(table, resourceId, depth = 0) {
+  if (depth > MAX_REFERENCE_DEPTH) return [];
+  const candidates = [];
+  resolveResource(table, resourceId).forEach(({ config, value }) => {
+    if (config.locale) return;
+    if (isColor(value.type)) {
+      candidates.push({ density: config.density, color: formatColor(value.data) });
+    } else if (value.type === VALUE_TYPE_STRING && table.strings) {
+      const entryPath = table.strings.get(value.data);
+      if (entryPath) candidates.push({ density: config.density, path: entryPath });
+    } else if (isReference(value.type)) {
+      candidates.push(...collectDrawableCandidates(table, value.data, depth + 1));
+    }
+  });
+  return candidates;
+}
+
+function pickBestRaster(candidates) {
+  return candidates
+    .filter(candidate => RASTER_EXTENSIONS.includes(getExtension(candidate.path)))
+    .sort((a, b) => densityRank(b.density) - densityRank(a.density))[0] || null;
+}
+
+async function readImageLayer(zip, entryPath) {
+  const data = await zip.readEntry(entryPath);
+  return data ? { data, extension: getExtension(entryPath) } : null;
+}
+
+async function resolveDrawable(zip, table, attribute, depth = 0) {
+  if (!attribute || depth > MAX_REFERENCE_DEPTH) return null;
+  if (isColor(attribute.type)) return { color: formatColor(attribute.data) };
+  if (!isReference(attribute.type)) return null;
+
+  const candidates = collectDrawableCandidates(table, attribute.data);
+  const raster = pickBestRaster(candidates);
+  if (raster) return readImageLayer(zip, raster.path);
+
+  const color = candidates.find(candidate => candidate.color);
+  if (color) return { color: color.color };
+
+  const xmlCandidate = candidates.find(candidate => getExtension(candidate.path) === 'xml');
+  if (!xmlCandidate) return null;
+  const xmlBuffer = await zip.readEntry(xmlCandidate.path);
+  const element = xmlBuffer ? parseBinaryXml(xmlBuffer) : null;
+  if (!element) return null;
+  if (element.name === 'bitmap') {
+    return resolveDrawable(zip, table, findAttribute(element, ATTR_SRC, 'src'), depth + 1);
+  }
+  if (element.name === 'inset') {
+    return resolveDrawable(zip, table, findAttribute(element, ATTR_DRAWABLE, 'drawable'), depth + 1);
+  }
+  return null;
+}
+
+async function readApplicationIcon(zip, table, application) {
+  const attribute = findAttribute(application, ATTR_ICON, 'icon');
+  if (!attribute || !isReference(attribute.type)) return null;
+
+  const candidates = collectDrawableCandidates(table, attribute.data);
+  const raster = pickBestRaster(candidates);
+  if (raster) {
+    const image = await readImageLayer(zip, raster.path);
+    return image ? { adaptive: false, foreground: image, background: null } : null;
+  }
+
+  const xmlCandidate = candidates.find(candidate => getExtension(candidate.path) === 'xml');
+  if (!xmlCandidate) return null;
+  const xmlBuffer = await zip.readEntry(xmlCandidate.path);
+  const element = xmlBuffer ? parseBinaryXml(xmlBuffer) : null;
+  if (!element || element.name !== 'adaptive-icon') return null;
+
+  const layerAttribute = name => findAttribute(
+    element.children.find(child => child.name === name),
+    ATTR_DRAWABLE,
+    'drawable'
+  );
+  const foreground = await resolveDrawable(zip, table, layerAttribute('foreground'));
+  const background = await resolveDrawable(zip, table, layerAttribute('background'));
+  if (!foreground || foreground.color) return null;
+  return { adaptive: true, foreground, background };
+}
+
+async function readApkInfo(source, options = {}) {
+  const zip = await openZip(source);
+  const manifestBuffer = await zip.readEntry(MANIFEST_ENTRY);
+  if (!manifestBuffer) {
+    throw createError('APK_MANIFEST_MISSING');
+  }
+
+  const manifest = parseBinaryXml(manifestBuffer);
+  const application = manifest ? manifest.children.find(child => child.name === 'application') : null;
+  const labelAttribute = findAttribute(application, ATTR_LABEL, 'label');
+  const needsTable = (labelAttribute && isReference(labelAttribute.type)) || options.includeIcon;
+
+  let table = null;
+  if (needsTable) {
+    const tableBuffer = await zip.readEntry(RESOURCES_ENTRY);
+    table = tableBuffer ? parseResourceTable(tableBuffer) : null;
+  }
+
+  let labels = {};
+  if (labelAttribute && !isReference(labelAttribute.type)) {
+    labels = labelAttribute.rawValue ? { '': labelAttribute.rawValue } : {};
+  } else if (labelAttribute && table) {
+    labels = collectLocalizedStrings(table, labelAttribute.data);
+  }
+
+  const icon = options.includeIcon && table ? await readApplicationIcon(zip, table, application) : null;
+  return { ...readManifestInfo(manifest), labels, icon };
+}
+
+async function readApkManifest(source) {
+  const zip = await openZip(source);
+  const manifestBuffer = await zip.readEntry(MANIFEST_ENTRY);
+  if (!manifestBuffer) {
+    throw createError('APK_MANIFEST_MISSING');
+  }
+  return readManifestInfo(parseBinaryXml(manifestBuffer));
+}
+
+function readManifestInfo(manifest) {
+  const attributeValue = (resourceId, name) => {
+    const attribute = findAttribute(manifest, resourceId, name);
+    if (!attribute) return null;
+    return attribute.rawValue !== null && attribute.rawValue !== undefined ? attribute.rawValue : attribute.data;
+  };
+  const versionCode = attributeValue(ATTR_VERSION_CODE, 'versionCode');
+  const versionName = findAttribute(manifest, ATTR_VERSION_NAME, 'versionName');
+  return {
+    packageName: attributeValue(null, 'package'),
+    split: attributeValue(null, 'split'),
+    versionCode: versionCode === null ? null : Number(versionCode),
+    versionName: versionName ? versionName.rawValue : null
+  };
+}
+
+function normalizeLocale(locale) {
+  return typeof locale === 'string' ? locale.trim().replace(/_/g, '-').toLowerCase() : '';
+}
+
+function pickLabel(labels, locales = []) {
+  if (!labels || typeof labels !== 'object') return null;
+  const keys = Object.keys(labels);
+  if (!keys.length) return null;
+
+  const byLocale = new Map(keys.map(key => [normalizeLocale(key), labels[key]]));
+  for (const candidate of locales) {
+    const normalized = normalizeLocale(candidate);
+    if (!normalized) continue;
+    if (byLocale.has(normalized)) return byLocale.get(normalized);
+    const language = normalized.split('-')[0];
+    if (byLocale.has(language)) return byLocale.get(language);
+    const regional = keys.find(key => normalizeLocale(key).split('-')[0] === language);
+    if (regional) return labels[regional];
+  }
+
+  return labels[''] || labels[keys[0]];
+}
+
+module.exports = {
+  readApkInfo,
+  readApkManifest,
+  pickLabel
+};
@@ -0,0 +1,110 @@
+const catalogs = {
+  es: require('./locales/es.json'),
+  en: require('./locales/en.json'),
+  pt: require('./locales/pt.json')
+};
+
+const DEFAULT_LANGUAGE = 'es';
+const SUPPORTED_LANGUAGES = Object.keys(catalogs);
+const ERROR_PREFIX = 'LAUNCHER_ERROR:';
+
+function normalizeLanguage(value) {
+  if (typeof value !== 'string') return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES.includes(language) ? language : null;
+}
+
+function resolveLanguage(...candidates) {
+  for (const candidate of candidates) {
+    const language = normalizeLanguage(candidate);
+    if (language) return language;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// Un parámetro con forma { code, params } es un error anidado y se traduce en el mismo idioma
+function formatParam(language, value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object' && typeof value.code === 'string') {
+    return translate(language, `errors.${value.code}`, value.params || {});
+  }
+  return String(value);
+}
+
+function translate(language, key, params = {}) {
+  const template = [catalogs[normalizeLanguage(language) || DEFAULT_LANGUAGE], catalogs[DEFAULT_LANGUAGE]]
+    .map(catalog => lookup(catalog, key))
+    .find(value => typeof value === 'string');
+  if (template === undefined) return key;
+  return template
+    .replace(/\{(\w+)\}/g, (_match, name) => formatParam(language, params[name]))
+    .trim();
+}
+
+function listLanguages() {
+  return SUPPORTED_LANGUAGES.map(code => ({ code, name: translate(code, 'language.name') }));
+}
+
+function createError(code, params = {}) {
+  const error = new Error(translate(DEFAULT_LANGUAGE, `errors.${code}`, params));
+  error.code = code;
+  error.params = params;
+  return error;
+}
+
+function isKnownError(code) {
+  return typeof code === 'string' && typeof catalogs[DEFAULT_LANGUAGE].errors[code] === 'string';
+}
+
+function errorDetails(error) {
+  if (error && isKnownError(error.code)) {
+    return { code: error.code, params: error.params || {} };
+  }
+  return error && error.message ? error.message : String(error);
+}
+
+function encodeError(error) {
+  const payload = error && isKnownError(error.code)
+    ? { code: error.code, params: error.params || {} }
+    : { code: 'UNKNOWN', params: { message: error && error.message ? error.message : String(error) } };
+  return new Error(`${ERROR_PREFIX}${JSON.stringify(payload)}`);
+}
+
+function decodeError(message) {
+  const text = typeof message === 'string' ? message : '';
+  const index = text.indexOf(ERROR_PREFIX);
+  if (index === -1) return null;
+  try {
+    const payload = JSON.parse(text.slice(index + ERROR_PREFIX.length));
+    return payload && typeof payload.code === 'string' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function describeError(message, language) {
+  const decoded = decodeError(message);
+  if (!decoded) {
+    return typeof message === 'string' ? message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '') : String(message);
+  }
+  return translate(language, `errors.${decoded.code}`, decoded.params || {});
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage,
+  resolveLanguage,
+  translate,
+  listLanguages,
+  isKnownError,
+  errorDetails,
+  createError,
+  encodeError,
+  decodeError,
+  describeError
+};
@@ -1,25 +1,113 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, clipboard } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
+const os = require('os');
+const { pathToFileURL } = require('url');
+const { exec, execFile, spawn } = require('child_process');
+const crypto = require('crypto');
+const adbClient = require('./adbClient');
+const { openFileSource, openZip, writeStoredZip } = require('./zipReader');
+const { readApkInfo, readApkManifest, pickLabel } = require('./apkReader');
+const i18n = require('./i18n');
+const windowTracker = require('./windowTracker');
 
 const WINDOW_WIDTH = 416;
 const WINDOW_HEIGHT = 600;
-const TEMP_APK_NAME = '__tmp_app_label.apk';
+const TEMP_APK_PREFIX = '__tmp_app_label_';
 const LABEL_CACHE_KEY = '__appLabels';
+const LABEL_CONCURRENCY_KEY = '__labelConcurrency';
+const DEFAULT_LABEL_CONCURRENCY = 3;
+const MAX_LABEL_CONCURRENCY = 8;
+const LEGACY_ICON_CACHE_KEY = '__appIcons';
+const MAX_LABEL_CACHE_ENTRIES = 1500;
+const ICON_DIR_NAME = 'app-icons';
+const LABEL_LOCALES_KEY = '__labelLocales';
+const LANGUAGE_KEY = '__language';
+const DEVICE_POLL_INTERVAL_MS = 3000;
+const DEVICE_TRACKER_RESTART_DELAY_MS = 2000;
+const WIFI_ENDPOINTS_KEY = '__wifiEndpoints';
+const MAX_WIFI_ENDPOINTS = 8;
+const DEFAULT_TCPIP_PORT = 5555;
+const DEVICE_ID_PATTERN = /^[\w.:-]+$/;
+const LAUNCH_VERIFY_DELAY_MS = 800;
+const APK_EXTENSION = '.apk';
+const BUNDLE_EXTENSIONS = ['.apks', '.xapk'];
+const PACKAGE_LIST_MODES = ['launchable', 'all'];
+const LAUNCHER_QUERY = 'cmd package query-activities -a android.intent.action.MAIN -c android.intent.category.LAUNCHER --brief';
+const LEANBACK_QUERY = 'cmd package query-activities -a android.intent.action.MAIN -c android.intent.category.LEANBACK_LAUNCHER --brief';
+const RESUMED_ACTIVITY_QUERY = 'dumpsys activity activities | grep -E "mResumedActivity|topResumedActivity"';
+const APPOP_MODES = ['allow', 'ignore', 'deny', 'default', 'foreground'];
+const SCRCPY_SETTINGS_KEY = '__scrcpySettings';
+const DEFAULT_SCRCPY_SETTINGS = {
+  mirrorBitRate: 10,
+  turnScreenOff: false,
+  stayAwake: true
+};
+const MAX_SCRCPY_BIT_RATE = 100;
+const SCRCPY_MARKER_PREFIX = 'scrcpy-win64-v';
+const SCRCPY_ARCHIVE_PATTERN = /^scrcpy-win64-v(\d+(?:\.\d+)*)\.zip$/i;
+const SCRCPY_CHECKSUM_EXTENSION = '.sha256';
+const SCRCPY_CHECKSUM_FILES = ['SHA256SUMS.txt', 'SHA256SUMS'];
+const APP_PROFILES_KEY = '__appProfiles';
+const DEFAULT_PROFILE_KEY = '*';
+const DEFAULT_APP_PROFILE = {
+  width: null,
+  height: null,
+  density: 200,
+  bitRate: 8
+};
+const PROFILE_LIMITS = {
+  width: [100, 8192],
+  height: [100, 8192],
+  density: [72, 1000],
+  bitRate: [0.5, MAX_SCRCPY_BIT_RATE]
+};
+const EXPORT_FOLDER_KEY = '__exportFolder';
+const EXPORT_BUNDLE_EXTENSION = '.apks';
+const EXPORT_MANIFEST_NAME = 'manifest.json';
+const CAPTURE_SETTINGS_KEY = '__captureSettings';
+const DEFAULT_CAPTURE_SETTINGS = {
+  folder: null,
+  timeLimit: 180,
+  bitRate: 8
+};
+const MAX_RECORD_TIME_LIMIT = 180;
+const MAX_RECORD_BIT_RATE = 100;
+const REMOTE_RECORDING_DIR = '/sdcard';
+const RECORDING_QUIT_TIMEOUT_MS = 15000;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const ABI_SPLIT_PATTERN = /(?:^|[._-])(arm64[_-]v8a|armeabi[_-]v7a|armeabi|x86[_-]64|x86|mips64|mips)(?=[._-]|$)/i;
 
 const labelQueue = [];
-const queuedLabelPackages = new Set();
-let isProcessingLabelQueue = false;
+const queuedLabelPackages = new Map();
+const activeLabelJobs = new Set();
+const labelProgress = { done: 0, total: 0 };
+let nextLabelJobId = 1;
+let labelConcurrency = null;
 
 const base = process.env.PORTABLE_EXECUTABLE_DIR || path.dirname(process.execPath);
-const adb = process.platform === 'win32' ? `"${path.join(base, 'adb.exe')}"` : 'adb';
-let cachedAapt2Command = null;
+const adbExecutable = process.platform === 'win32' ? path.join(base, 'adb.exe') : 'adb';
+const adb = process.platform === 'win32' ? `"${adbExecutable}"` : 'adb';
+const scrcpyExecutable = process.platform === 'win32' ? path.join(base, 'scrcpy.exe') : 'scrcpy';
 
 let mainWindow = null;
 let currentDevice = '';
 let PREF_PATH = null;
+let ICON_DIR = null;
 let appLabelCache = null;
+const deviceLocales = new Map();
+const scrcpySessions = new Map();
+let nextScrcpySessionId = 1;
+let isInstallingScrcpy = false;
+const screenRecordings = new Map();
+
+const trackedDevices = new Map();
+let deviceTracker = null;
+let deviceTrackerRestartTimer = null;
+let devicePollTimer = null;
+let isPollingDevices = false;
+let devicePollFailing = false;
+let deviceTrackerStopped = true;
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -45,6 +133,11 @@ function createWindow() {
     mainWindow.show();
   });
 
+  mainWindow.webContents.on('did-finish-load', () => {
+    startDeviceTracker();
+    announceTrackedDevices();
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
@@ -56,8 +149,8 @@ function run(command) {
   return new Promise((resolve, reject) => {
     exec(command, { cwd: base, windowsHide: true, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
       if (error) {
-        const message = stderr && stderr.trim() ? stderr.trim() : error.message;
-        reject(new Error(message));
+        const details = stderr && stderr.trim() ? stderr.trim() : error.message;
+        reject(i18n.createError('COMMAND_FAILED', { details }));
         return;
       }
       resolve(stdout);
@@ -66,7 +159,7 @@ function run(command) {
 }
 
 function parseAdbDevicesOutput(output = '') {
-  const lines = output.split(/\r?\n/).slice(1);
+  const lines = output.split(/\r?\n/).filter(line => !/^List of devices/i.test(line));
   return lines
     .map(line => line.trim())
     .filter(Boolean)
@@ -76,20 +169,175 @@ function parseAdbDevicesOutput(output = '') {
       const id = parts.shift();
       const state = (parts.shift() || '').toLowerCase();
       const details = parts.join(' ');
-      return { id, state, details, raw: rawLine };
+      const modelMatch = details.match(/(?:^|\s)model:(\S+)/);
+      const model = modelMatch ? modelMatch[1].replace(/_/g, ' ') : '';
+      return { id, state, details, model, raw: rawLine };
     })
     .filter(Boolean);
 }
 
 async function fetchAdbDevices() {
-  const output = await run(`${adb} devices`);
+  const output = await adbClient.listDevices();
   const devices = parseAdbDevicesOutput(output);
   return { output, devices };
 }
 
+function applyDeviceSnapshot(devices = []) {
+  const seen = new Set();
+  devices.forEach(device => {
+    seen.add(device.id);
+    const previous = trackedDevices.get(device.id);
+    trackedDevices.set(device.id, device);
+    if (!previous) {
+      emitToRenderer('device-added', device);
+      return;
+    }
+    if (previous.state === device.state) return;
+    const wasCurrent = device.id === currentDevice;
+    if (wasCurrent && device.state !== 'device') {
+      setCurrentDevice('');
+    }
+    emitToRenderer('device-state-changed', { ...device, previousState: previous.state, wasCurrent });
+  });
+
+  Array.from(trackedDevices.keys()).forEach(id => {
+    if (seen.has(id)) return;
+    const previous = trackedDevices.get(id);
+    trackedDevices.delete(id);
+    deviceLocales.delete(id);
+    const wasCurrent = id === currentDevice;
+    if (wasCurrent) {
+      setCurrentDevice('');
+    }
+    emitToRenderer('device-removed', { ...previous, wasCurrent });
+  });
+}
+
+function announceTrackedDevices() {
+  trackedDevices.forEach(device => emitToRenderer('device-added', device));
+}
+
+function startDeviceTracker() {
+  deviceTrackerStopped = false;
+  if (deviceTracker || devicePollTimer) return;
+
+  let receivedFrames = false;
+  const tracker = adbClient.trackDevices(frame => {
+    receivedFrames = true;
+    applyDeviceSnapshot(parseAdbDevicesOutput(frame));
+  });
+  deviceTracker = tracker;
+
+  tracker.done
+    .catch(error => {
+      console.warn('El seguimiento de dispositivos se interrumpió:', error.message);
+    })
+    .then(() => {
+      if (deviceTracker === tracker) {
+        deviceTracker = null;
+      }
+      if (deviceTrackerStopped) return;
+      if (!receivedFrames) {
+        startDevicePolling();
+        return;
+      }
+      deviceTrackerRestartTimer = setTimeout(() => {
+        deviceTrackerRestartTimer = null;
+        if (!deviceTrackerStopped) startDeviceTracker();
+      }, DEVICE_TRACKER_RESTART_DELAY_MS);
+    });
+}
+
+function startDevicePolling() {
+  if (devicePollTimer || deviceTrackerStopped) return;
+  const poll = async () => {
+    if (isPollingDevices) return;
+    isPollingDevices = true;
+    try {
+      const { devices } = await fetchAdbDevices();
+      applyDeviceSnapshot(devices);
+      devicePollFailing = false;
+      // El servidor ya responde: se vuelve al seguimiento por eventos
+      if (devicePollTimer && !deviceTrackerStopped) {
+        clearInterval(devicePollTimer);
+        devicePollTimer = null;
+        startDeviceTracker();
+      }
+    } catch (error) {
+      if (!devicePollFailing) {
+        console.warn('No se pudo consultar la lista de dispositivos:', error.message);
+      }
+      devicePollFailing = true;
+    } finally {
+      isPollingDevices = false;
+    }
+  };
+  devicePollTimer = setInterval(poll, DEVICE_POLL_INTERVAL_MS);
+  void poll();
+}
+
+function stopDeviceTracker() {
+  deviceTrackerStopped = true;
+  if (deviceTrackerRestartTimer) {
+    clearTimeout(deviceTrackerRestartTimer);
+    deviceTrackerRestartTimer = null;
+  }
+  if (devicePollTimer) {
+    clearInterval(devicePollTimer);
+    devicePollTimer = null;
+  }
+  if (deviceTracker) {
+    const tracker = deviceTracker;
+    deviceTracker = null;
+    tracker.close();
+  }
+}
+
+function setCurrentDevice(deviceId) {
+  const next = normalizeDeviceId(deviceId);
+  if (next === currentDevice) return;
+  currentDevice = next;
+  cancelLabelJobs(job => job.deviceId !== next);
+}
+
+// El serial acaba en comandos de adb lanzados con exec, así que se limita a los caracteres que usa adb
+function normalizeDeviceId(deviceId) {
+  const value = typeof deviceId === 'string' ? deviceId.trim() : '';
+  if (value && !DEVICE_ID_PATTERN.test(value)) {
+    throw i18n.createError('INVALID_DEVICE_ID', { device: value });
+  }
+  return value;
+}
+
+function resolveDeviceId(deviceOverride) {
+  return normalizeDeviceId(deviceOverride) || normalizeDeviceId(currentDevice);
+}
+
+function deviceStateError(device) {
+  if (device.state === 'unauthorized') {
+    return i18n.createError('DEVICE_UNAUTHORIZED');
+  }
+  return i18n.createError('DEVICE_STATE', { state: device.state });
+}
+
+// Para argumentos con rutas locales o del paquete: sin shell de por medio no hay nada que escapar
+function runAdb(args, deviceOverride) {
+  const deviceId = resolveDeviceId(deviceOverride);
+  const argv = deviceId ? ['-s', deviceId, ...args] : args;
+  return new Promise((resolve, reject) => {
+    execFile(adbExecutable, argv, { cwd: base, windowsHide: true, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const details = stderr && stderr.trim() ? stderr.trim() : error.message;
+        reject(i18n.createError('COMMAND_FAILED', { details }));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
 function buildAdbCommand(args, deviceOverride) {
-  const override = typeof deviceOverride === 'string' ? deviceOverride.trim() : '';
-  const deviceId = override || (typeof currentDevice === 'string' ? currentDevice.trim() : '');
+  const deviceId = resolveDeviceId(deviceOverride);
   const deviceSegment = deviceId ? ` -s ${deviceId}` : '';
   return `${adb}${deviceSegment} ${args}`;
 }
@@ -120,158 +368,391 @@ function getAppLabelCache() {
   }
   const prefs = readPrefs();
   const stored = prefs && typeof prefs === 'object' ? prefs[LABEL_CACHE_KEY] : null;
-  appLabelCache = stored && typeof stored === 'object' ? { ...stored } : {};
+  appLabelCache = {};
+  if (stored && typeof stored === 'object') {
+    Object.entries(stored).forEach(([deviceId, entries]) => {
+      if (!entries || typeof entries !== 'object') return;
+      appLabelCache[deviceId] = { ...entries };
+    });
+  }
+  if (LEGACY_ICON_CACHE_KEY in prefs) {
+    delete prefs[LEGACY_ICON_CACHE_KEY];
+    prefs[LABEL_CACHE_KEY] = appLabelCache;
+    writePrefs(prefs);
+  }
   return appLabelCache;
 }
 
-function rememberAppLabel(pkg, label) {
-  if (!pkg || !label) return;
-  const cache = { ...getAppLabelCache(), [pkg]: label };
-  appLabelCache = cache;
+function saveAppLabelCache() {
   const prefs = readPrefs();
-  prefs[LABEL_CACHE_KEY] = cache;
+  prefs[LABEL_CACHE_KEY] = getAppLabelCache();
   writePrefs(prefs);
 }
 
+function sameVersion(entry, version) {
+  if (!entry || !version) return false;
+  return entry.versionCode === version.versionCode && entry.lastUpdateTime === version.lastUpdateTime;
+}
+
+function getCachedApp(deviceId, pkg, version) {
+  const entries = getAppLabelCache()[deviceId];
+  const entry = entries ? entries[pkg] : null;
+  if (!entry) return null;
+  if (version && !sameVersion(entry, version)) return null;
+  return entry;
+}
+
+function hasCachedLabels(entry) {
+  return Boolean(entry && entry.labels && typeof entry.labels === 'object');
+}
+
+function isCachedAppComplete(entry) {
+  return hasCachedLabels(entry) && Boolean(entry.icon);
+}
+
+function touchCachedApps(deviceId, packages) {
+  const entries = getAppLabelCache()[deviceId];
+  if (!entries) return;
+  const now = Date.now();
+  let touched = false;
+  packages.forEach(pkg => {
+    if (!entries[pkg]) return;
+    entries[pkg].usedAt = now;
+    touched = true;
+  });
+  if (touched) saveAppLabelCache();
+}
+
+function rememberCachedApp(deviceId, pkg, version, patch) {
+  if (!deviceId || !pkg) return null;
+  const cache = getAppLabelCache();
+  const entries = cache[deviceId] || (cache[deviceId] = {});
+  const previous = entries[pkg];
+  const current = sameVersion(previous, version) ? previous : {};
+  if (previous && current !== previous) {
+    removeIconFiles(previous.icon);
+  }
+  const entry = {
+    ...current,
+    ...patch,
+    versionCode: version ? version.versionCode : null,
+    lastUpdateTime: version ? version.lastUpdateTime : null,
+    usedAt: Date.now()
+  };
+  entries[pkg] = entry;
+  evictAppLabelCache();
+  saveAppLabelCache();
+  return entry;
+}
+
+function forgetCachedApp(deviceId, pkg) {
+  const entries = getAppLabelCache()[deviceId];
+  if (!entries || !entries[pkg]) return;
+  removeIconFiles(entries[pkg].icon);
+  delete entries[pkg];
+  saveAppLabelCache();
+}
+
+function evictAppLabelCache() {
+  const cache = getAppLabelCache();
+  const all = [];
+  Object.entries(cache).forEach(([deviceId, entries]) => {
+    Object.entries(entries).forEach(([pkg, entry]) => {
+      all.push({ deviceId, pkg, usedAt: Number(entry.usedAt) || 0 });
+    });
+  });
+  if (all.length <= MAX_LABEL_CACHE_ENTRIES) return;
+
+  all.sort((a, b) => a.usedAt - b.usedAt);
+  all.slice(0, all.length - MAX_LABEL_CACHE_ENTRIES).forEach(({ deviceId, pkg }) => {
+    removeIconFiles(cache[deviceId][pkg].icon);
+    delete cache[deviceId][pkg];
+    if (!Object.keys(cache[deviceId]).length) {
+      delete cache[deviceId];
+    }
+  });
+}
+
+function clearAppLabelCache(deviceId) {
+  const target = normalizeDeviceId(deviceId);
+  const cache = getAppLabelCache();
+  cancelLabelJobs(job => !target || job.deviceId === target);
+
+  let removed = 0;
+  Object.keys(cache).forEach(serial => {
+    if (target && serial !== target) return;
+    Object.values(cache[serial]).forEach(entry => {
+      removeIconFiles(entry.icon);
+      removed += 1;
+    });
+    delete cache[serial];
+  });
+
+  if (!target && ICON_DIR) {
+    fs.rmSync(ICON_DIR, { recursive: true, force: true });
+  }
+  saveAppLabelCache();
+  return removed;
+}
+
+function removeIconFiles(icon) {
+  if (!icon || !ICON_DIR) return;
+  [icon.foreground, icon.background].forEach(layer => {
+    if (!layer || !layer.file) return;
+    fs.rm(path.join(ICON_DIR, layer.file), { force: true }, () => {});
+  });
+}
+
+function iconFilePrefix(deviceId, pkg) {
+  return `${deviceId.replace(/[^\w.-]/g, '_')}-${pkg}`;
+}
+
+async function storeAppIcon(deviceId, pkg, icon) {
+  if (!ICON_DIR) return null;
+  await fs.promises.mkdir(ICON_DIR, { recursive: true });
+
+  const prefix = iconFilePrefix(deviceId, pkg);
+  const writeLayer = async (layer, suffix) => {
+    if (!layer) return null;
+    if (layer.color) return { color: layer.color };
+    const fileName = `${prefix}.${suffix}.${layer.extension || 'png'}`;
+    await fs.promises.writeFile(path.join(ICON_DIR, fileName), layer.data);
+    return { file: fileName };
+  };
+
+  return {
+    adaptive: Boolean(icon.adaptive),
+    foreground: await writeLayer(icon.foreground, 'fg'),
+    background: await writeLayer(icon.background, 'bg'),
+    updatedAt: Date.now()
+  };
+}
+
+function toRendererIcon(entry) {
+  if (!entry || !entry.foreground || !ICON_DIR) return null;
+  const toLayer = layer => {
+    if (!layer) return null;
+    if (layer.color) return { color: layer.color };
+    return { url: `${pathToFileURL(path.join(ICON_DIR, layer.file)).href}?v=${entry.updatedAt || 0}` };
+  };
+  return {
+    adaptive: Boolean(entry.adaptive),
+    foreground: toLayer(entry.foreground),
+    background: toLayer(entry.background)
+  };
+}
+
 function emitToRenderer(channel, payload) {
   if (!channel) return;
   if (!mainWindow || mainWindow.isDestroyed()) return;
   mainWindow.webContents.send(channel, payload);
 }
 
-function queueAppLabels(packages = []) {
-  const cache = getAppLabelCache();
+function getLabelConcurrency() {
+  if (labelConcurrency !== null) {
+    return labelConcurrency;
+  }
+  const stored = Number(readPrefs()[LABEL_CONCURRENCY_KEY]);
+  labelConcurrency = Number.isInteger(stored) && stored >= 1 && stored <= MAX_LABEL_CONCURRENCY
+    ? stored
+    : DEFAULT_LABEL_CONCURRENCY;
+  return labelConcurrency;
+}
+
+function setLabelConcurrency(value) {
+  const requested = Math.round(Number(value));
+  if (!Number.isFinite(requested)) {
+    throw i18n.createError('INVALID_CONCURRENCY');
+  }
+  labelConcurrency = Math.min(MAX_LABEL_CONCURRENCY, Math.max(1, requested));
+  const prefs = readPrefs();
+  prefs[LABEL_CONCURRENCY_KEY] = labelConcurrency;
+  writePrefs(prefs);
+  pumpLabelQueue();
+  return labelConcurrency;
+}
+
+function emitLabelProgress() {
+  emitToRenderer('package-label-progress', { ...labelProgress });
+}
+
+function labelJobKey(deviceId, pkg) {
+  return `${deviceId}/${pkg}`;
+}
+
+function queueAppLabels(packages = [], deviceId, versions = new Map()) {
+  const sourceDevice = resolveDeviceId(deviceId);
+  if (!labelQueue.length && !activeLabelJobs.size) {
+    labelProgress.done = 0;
+    labelProgress.total = 0;
+  }
+
   packages.forEach(pkg => {
     const normalized = typeof pkg === 'string' ? pkg.trim() : '';
     if (!normalized) return;
-    if (cache[normalized]) return;
-    if (queuedLabelPackages.has(normalized)) return;
-    queuedLabelPackages.add(normalized);
-    labelQueue.push(normalized);
+    const version = versions.get(normalized) || null;
+    const cached = getCachedApp(sourceDevice, normalized, version);
+    if (isCachedAppComplete(cached)) return;
+    const key = labelJobKey(sourceDevice, normalized);
+    if (queuedLabelPackages.has(key)) return;
+    const job = {
+      id: nextLabelJobId++,
+      key,
+      pkg: normalized,
+      deviceId: sourceDevice,
+      version,
+      controller: new AbortController()
+    };
+    queuedLabelPackages.set(key, job);
+    labelQueue.push(job);
+    labelProgress.total += 1;
   });
-  void processLabelQueue();
+
+  emitLabelProgress();
+  pumpLabelQueue();
 }
 
-async function processLabelQueue() {
-  if (isProcessingLabelQueue) return;
-  isProcessingLabelQueue = true;
-  try {
-    while (labelQueue.length) {
-      const pkg = labelQueue.shift();
-      queuedLabelPackages.delete(pkg);
-      if (!pkg) continue;
-      if (getAppLabelCache()[pkg]) {
-        emitToRenderer('package-label-updated', {
-          package: pkg,
-          name: getAppLabelCache()[pkg],
-          success: true
-        });
-        continue;
-      }
+function prioritizeAppLabels(packages = []) {
+  const wanted = new Set(packages.filter(pkg => typeof pkg === 'string'));
+  if (!wanted.size) return;
+  const prioritized = labelQueue.filter(job => wanted.has(job.pkg));
+  if (!prioritized.length) return;
+  const rest = labelQueue.filter(job => !wanted.has(job.pkg));
+  labelQueue.splice(0, labelQueue.length, ...prioritized, ...rest);
+}
 
-      emitToRenderer('package-label-started', pkg);
+function cancelLabelJobs(predicate = () => true) {
+  let cancelled = 0;
+  for (let index = labelQueue.length - 1; index >= 0; index -= 1) {
+    const job = labelQueue[index];
+    if (!predicate(job)) continue;
+    labelQueue.splice(index, 1);
+    queuedLabelPackages.delete(job.key);
+    cancelled += 1;
+  }
+  activeLabelJobs.forEach(job => {
+    if (!predicate(job) || job.controller.signal.aborted) return;
+    job.controller.abort();
+    if (queuedLabelPackages.get(job.key) === job) {
+      queuedLabelPackages.delete(job.key);
+    }
+    cancelled += 1;
+  });
+  if (!cancelled) return;
+  labelProgress.total = Math.max(labelProgress.done, labelProgress.total - cancelled);
+  emitLabelProgress();
+}
 
-      let label = null;
-      try {
-        label = await extractLabelForPackage(pkg);
-        if (label) {
-          rememberAppLabel(pkg, label);
-        }
-      } catch (error) {
-        console.warn(`No se pudo extraer la etiqueta para ${pkg}:`, error.message);
+function pumpLabelQueue() {
+  while (labelQueue.length && activeLabelJobs.size < getLabelConcurrency()) {
+    const job = labelQueue.shift();
+    activeLabelJobs.add(job);
+    void runLabelJob(job).finally(() => {
+      activeLabelJobs.delete(job);
+      if (queuedLabelPackages.get(job.key) === job) {
+        queuedLabelPackages.delete(job.key);
       }
-
-      const cache = getAppLabelCache();
-      const finalLabel = label || cache[pkg] || pkg;
-      emitToRenderer('package-label-updated', {
-        package: pkg,
-        name: finalLabel,
-        success: Boolean(label || cache[pkg])
-      });
-    }
-  } finally {
-    isProcessingLabelQueue = false;
+      if (!job.controller.signal.aborted) {
+        labelProgress.done += 1;
+        emitLabelProgress();
+      }
+      pumpLabelQueue();
+    });
   }
 }
 
-function parseLabelFromDump(output) {
-  if (!output) return null;
-  const lines = output.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
-  const preferred = lines.find(line => line.startsWith("application-label-es:'"));
-  const fallback = lines.find(line => line.startsWith("application-label:'"));
-  const target = preferred || fallback;
-  if (!target) return null;
-  const match = target.match(/:'((?:\\'|[^'])*)'/);
-  if (!match) return null;
-  return match[1].replace(/\\'/g, "'");
-}
+async function runLabelJob(job) {
+  const { pkg, deviceId, version, controller } = job;
+  const cached = getCachedApp(deviceId, pkg, version);
+  if (isCachedAppComplete(cached)) {
+    const cachedLabel = pickLabel(cached.labels, await resolveLabelLocales(deviceId));
+    emitToRenderer('package-label-updated', {
+      deviceId,
+      package: pkg,
+      name: cachedLabel || pkg,
+      success: Boolean(cachedLabel)
+    });
+    return;
+  }
+
+  if (!hasCachedLabels(cached)) {
+    emitToRenderer('package-label-started', pkg);
+  }
 
-function getAapt2Command() {
-  if (cachedAapt2Command !== null) {
-    return cachedAapt2Command;
+  let info = null;
+  try {
+    info = await extractPackageInfo(pkg, deviceId, { signal: controller.signal, jobId: job.id });
+  } catch (error) {
+    console.warn(`No se pudo extraer la etiqueta para ${pkg}:`, error.message);
   }
+  if (controller.signal.aborted) return;
 
-  if (process.platform === 'win32') {
-    const candidate = path.join(base, 'aapt2.exe');
-    if (fs.existsSync(candidate)) {
-      cachedAapt2Command = `"${candidate}"`;
-      return cachedAapt2Command;
+  let entry = cached;
+  if (info) {
+    let icon = { none: true };
+    try {
+      icon = (info.icon && await storeAppIcon(deviceId, pkg, info.icon)) || icon;
+    } catch (error) {
+      console.warn(`No se pudo guardar el icono de ${pkg}:`, error.message);
+    }
+    entry = rememberCachedApp(deviceId, pkg, version, { labels: info.labels || {}, icon });
+    if (!icon.none) {
+      emitToRenderer('package-icon-updated', { deviceId, package: pkg, icon: toRendererIcon(icon) });
     }
-    cachedAapt2Command = null;
-    return cachedAapt2Command;
   }
 
-  cachedAapt2Command = 'aapt2';
-  return cachedAapt2Command;
+  const knownLabel = hasCachedLabels(entry)
+    ? pickLabel(entry.labels, await resolveLabelLocales(deviceId))
+    : null;
+  emitToRenderer('package-label-updated', {
+    deviceId,
+    package: pkg,
+    name: knownLabel || pkg,
+    success: Boolean(knownLabel)
+  });
 }
 
-async function extractLabelForPackage(pkg) {
-  const sanitized = typeof pkg === 'string' ? pkg.trim() : '';
-  if (!sanitized) return null;
-
-  const tempApkPath = path.join(base, TEMP_APK_NAME);
-  try {
-    const pathOutput = await run(buildAdbCommand(`shell pm path ${sanitized}`));
-    const remoteLine = pathOutput
-      .split(/\r?\n/)
-      .map(line => line.trim())
-      .filter(Boolean)
-      .find(line => line.includes('base.apk')) ||
-      pathOutput.split(/\r?\n/).map(line => line.trim()).filter(Boolean)[0];
+async function readApkPaths(pkg, deviceId, options = {}) {
+  const pathOutput = await adbClient.shell(deviceId, `pm path ${pkg}`, { signal: options.signal });
+  return pathOutput
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .map(line => (line.startsWith('package:') ? line.slice('package:'.length).trim() : line))
+    .filter(Boolean);
+}
 
-    if (!remoteLine) return null;
+async function resolveBaseApkPath(pkg, deviceId, options = {}) {
+  const remotePaths = await readApkPaths(pkg, deviceId, options);
+  return remotePaths.find(remotePath => remotePath.endsWith('/base.apk')) || remotePaths[0] || null;
+}
 
-    const remotePath = remoteLine.startsWith('package:')
-      ? remoteLine.slice('package:'.length).trim()
-      : remoteLine;
-    if (!remotePath) return null;
+async function readApkInfoFromDevice(deviceId, remotePath, options = {}) {
+  const { signal } = options;
+  const { size } = await adbClient.stat(deviceId, remotePath, { signal });
+  const source = {
+    size,
+    read: (offset, length) => adbClient.readRange(deviceId, remotePath, offset, length, { signal })
+  };
+  return readApkInfo(source, { includeIcon: true });
+}
 
+async function readApkInfoFromPull(deviceId, remotePath, options = {}) {
+  const tempApkPath = path.join(base, `${TEMP_APK_PREFIX}${options.jobId || 0}.apk`);
+  try {
     try {
       await fs.promises.rm(tempApkPath, { force: true });
     } catch {
       // ignore cleanup errors
     }
 
-    await run(buildAdbCommand(`pull "${remotePath}" "${TEMP_APK_NAME}"`));
+    await adbClient.pull(deviceId, remotePath, tempApkPath, { signal: options.signal });
 
+    const source = await openFileSource(tempApkPath);
     try {
-      await fs.promises.access(tempApkPath, fs.constants.F_OK);
-    } catch {
-      return null;
-    }
-
-    const aapt2 = getAapt2Command();
-    if (!aapt2) return null;
-    try {
-      const dumpOutput = await run(`${aapt2} dump badging "${TEMP_APK_NAME}"`);
-      return parseLabelFromDump(dumpOutput);
-    } catch (error) {
-      console.warn(`No se pudo extraer la etiqueta para ${sanitized}:`, error.message);
-      return null;
+      return await readApkInfo(source, { includeIcon: true });
+    } finally {
+      await source.close();
     }
-  } catch (error) {
-    console.warn(`No se pudo preparar el APK para ${sanitized}:`, error.message);
-    return null;
   } finally {
     try {
       await fs.promises.rm(tempApkPath, { force: true });
@@ -281,112 +762,2074 @@ async function extractLabelForPackage(pkg) {
   }
 }
 
-async function listLaunchablePackages() {
-  if (!currentDevice) {
-    throw new Error('No hay un dispositivo conectado.');
+async function extractPackageInfo(pkg, deviceId, options = {}) {
+  const sanitized = typeof pkg === 'string' ? pkg.trim() : '';
+  if (!sanitized) return null;
+  const targetDevice = resolveDeviceId(deviceId);
+
+  let remotePath = null;
+  try {
+    remotePath = await resolveBaseApkPath(sanitized, targetDevice, options);
+  } catch (error) {
+    if (options.signal && options.signal.aborted) return null;
+    console.warn(`No se pudo localizar el APK de ${sanitized}:`, error.message);
+    return null;
+  }
+  if (!remotePath) return null;
+
+  let info = null;
+  try {
+    info = await readApkInfoFromDevice(targetDevice, remotePath, options);
+  } catch (error) {
+    if (options.signal && options.signal.aborted) return null;
+    console.warn(`No se pudo leer ${sanitized} por rangos, se copiará el APK completo:`, error.message);
   }
 
-  const query = 'shell "cmd package query-activities -a android.intent.action.MAIN -c android.intent.category.LAUNCHER --brief"';
-  const output = await run(buildAdbCommand(query));
-  const packages = [];
-  const seen = new Set();
+  if (!info) {
+    try {
+      info = await readApkInfoFromPull(targetDevice, remotePath, options);
+    } catch (error) {
+      if (options.signal && options.signal.aborted) return null;
+      console.warn(`No se pudo extraer la etiqueta para ${sanitized}:`, error.message);
+      return null;
+    }
+  }
+
+  return { labels: info.labels, icon: info.icon };
+}
+
+function normalizeComponent(component) {
+  const value = typeof component === 'string' ? component.trim() : '';
+  const match = value.match(/^([\w.]+)\/([\w.$]+)$/);
+  if (!match) return null;
+  const [, pkg, className] = match;
+  return `${pkg}/${className.startsWith('.') ? `${pkg}${className}` : className}`;
+}
 
+function parseActivityComponents(output) {
+  const components = new Map();
   output
     .split(/\r?\n/)
     .map(line => line.trim())
     .filter(Boolean)
     .forEach(line => {
       const normalized = line.startsWith('package:') ? line.slice('package:'.length).trim() : line;
-      const pkg = normalized.split(/[\s/]+/)[0];
-      if (pkg && /^[\w\.]+$/.test(pkg) && !seen.has(pkg)) {
-        seen.add(pkg);
-        packages.push(pkg);
+      const token = normalized.split(/\s+/)[0];
+      const pkg = token.split('/')[0];
+      if (!pkg || !/^[\w\.]+$/.test(pkg)) return;
+      const list = components.get(pkg) || [];
+      const component = normalizeComponent(token);
+      if (component && !list.includes(component)) {
+        list.push(component);
       }
+      components.set(pkg, list);
     });
+  return components;
+}
 
-  const cache = getAppLabelCache();
-  const missing = [];
-  const result = packages.map(pkg => {
-    const cachedLabel = cache[pkg];
-    if (!cachedLabel) {
-      missing.push(pkg);
-    }
-    return {
-      package: pkg,
-      name: cachedLabel || pkg,
-      hasLabel: Boolean(cachedLabel),
-      labelResolved: Boolean(cachedLabel)
-    };
-  });
+function normalizeLocaleList(locales) {
+  const list = Array.isArray(locales) ? locales : String(locales || '').split(',');
+  const seen = new Set();
+  return list
+    .map(locale => (typeof locale === 'string' ? locale.trim().replace(/_/g, '-') : ''))
+    .filter(locale => /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/i.test(locale))
+    .filter(locale => {
+      const key = locale.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
 
-  if (missing.length) {
-    queueAppLabels(missing);
-  }
+function getConfiguredLabelLocales() {
+  return normalizeLocaleList(readPrefs()[LABEL_LOCALES_KEY]);
+}
 
-  return result;
+function setConfiguredLabelLocales(locales) {
+  const normalized = normalizeLocaleList(locales);
+  const prefs = readPrefs();
+  if (normalized.length) {
+    prefs[LABEL_LOCALES_KEY] = normalized;
+  } else {
+    delete prefs[LABEL_LOCALES_KEY];
+  }
+  writePrefs(prefs);
+  return normalized;
 }
 
-async function launchApplication(pkg) {
-  if (!currentDevice) {
-    throw new Error('No hay un dispositivo conectado.');
+async function readDeviceLocale(deviceId) {
+  if (!deviceId) return '';
+  if (deviceLocales.has(deviceId)) {
+    return deviceLocales.get(deviceId);
   }
-  const packageName = typeof pkg === 'string' ? pkg.trim() : '';
-  if (!packageName) {
-    throw new Error('Nombre de paquete inválido.');
+  let locale = '';
+  try {
+    const output = await adbClient.shell(deviceId, 'getprop persist.sys.locale; getprop ro.product.locale');
+    locale = output.split(/\r?\n/).map(line => line.trim()).find(Boolean) || '';
+  } catch (error) {
+    console.warn('No se pudo leer el idioma del dispositivo:', error.message);
   }
-  const command = buildAdbCommand(`shell monkey -p ${packageName} -c android.intent.category.LAUNCHER 1`);
-  await run(command);
+  deviceLocales.set(deviceId, locale);
+  return locale;
 }
 
-ipcMain.handle('close', () => {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.close();
-  }
-});
+async function resolveLabelLocales(deviceId) {
+  const configured = getConfiguredLabelLocales();
+  if (configured.length) return configured;
+  return normalizeLocaleList([app.getLocale(), await readDeviceLocale(deviceId)]);
+}
 
-ipcMain.handle('minimize', () => {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.minimize();
-  }
-});
+function parsePackageVersions(output) {
+  const versions = new Map();
+  let current = null;
+  output.split(/\r?\n/).forEach(line => {
+    const header = line.match(/^\s*Package \[([^\]]+)\]/);
+    if (header) {
+      current = { versionCode: null, lastUpdateTime: null };
+      if (!versions.has(header[1])) {
+        versions.set(header[1], current);
+      }
+      return;
+    }
+    if (!current) return;
+    const versionCode = line.match(/^\s*versionCode=(\d+)/);
+    if (versionCode) {
+      current.versionCode = Number(versionCode[1]);
+      return;
+    }
+    const lastUpdateTime = line.match(/^\s*lastUpdateTime=(.+)$/);
+    if (lastUpdateTime) {
+      current.lastUpdateTime = lastUpdateTime[1].trim();
+    }
+  });
+  return versions;
+}
 
-ipcMain.handle('connect', async () => {
-  const { devices } = await fetchAdbDevices();
+async function readPackageVersions(deviceId) {
+  const output = await adbClient.shell(deviceId, 'dumpsys package packages');
+  return parsePackageVersions(output);
+}
 
-  if (devices.length === 0) {
-    currentDevice = '';
-    throw new Error('No se detectaron dispositivos ADB conectados.');
+function parsePackageList(output) {
+  const packages = new Map();
+  output.split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^package:(?:(.+)=)?([\w.]+)((?:\s+\S+)*)$/);
+    if (!match) return;
+    const versionCode = match[3].match(/\bversionCode:(\d+)/);
+    const uid = match[3].match(/\buid:(\d+)/);
+    packages.set(match[2], {
+      apkPath: match[1] || null,
+      versionCode: versionCode ? Number(versionCode[1]) : null,
+      uid: uid ? Number(uid[1]) : null
+    });
+  });
+  return packages;
+}
+
+async function readInstalledPackages(deviceId) {
+  const installed = parsePackageList(await adbClient.shell(deviceId, 'pm list packages -f -U --show-versioncode'));
+  if (installed.size) return installed;
+  // Android 8 y anteriores no admiten --show-versioncode
+  return parsePackageList(await adbClient.shell(deviceId, 'pm list packages -f'));
+}
+
+async function readPackageSet(deviceId, flag) {
+  try {
+    return new Set(parsePackageList(await adbClient.shell(deviceId, `pm list packages ${flag}`)).keys());
+  } catch (error) {
+    console.warn(`No se pudo listar los paquetes (${flag}):`, error.message);
+    return new Set();
   }
+}
 
-  if (devices.length > 1) {
-    currentDevice = '';
-    throw new Error('Se detectaron varios dispositivos. Conecta solo uno.');
+async function readLeanbackComponents(deviceId) {
+  try {
+    return parseActivityComponents(await adbClient.shell(deviceId, LEANBACK_QUERY));
+  } catch (error) {
+    console.warn('No se pudieron consultar las actividades de TV:', error.message);
+    return new Map();
   }
+}
 
-  const [device] = devices;
-  if (device.state !== 'device') {
-    currentDevice = '';
-    const message = device.state === 'unauthorized'
-      ? 'Autoriza la depuración USB en el dispositivo.'
-      : `El dispositivo está en estado "${device.state}".`;
-    throw new Error(message);
+async function listPackages(deviceId, options = {}) {
+  const targetDevice = resolveDeviceId(deviceId);
+  if (!targetDevice) {
+    throw i18n.createError('NO_DEVICE');
   }
+  const mode = PACKAGE_LIST_MODES.includes(options.mode) ? options.mode : PACKAGE_LIST_MODES[0];
 
-  currentDevice = device.id;
-  return { success: true, device };
-});
+  const launcherComponents = parseActivityComponents(await adbClient.shell(targetDevice, LAUNCHER_QUERY));
+  const systemPackages = await readPackageSet(targetDevice, '-s');
+  let installed = new Map();
+  let leanbackComponents = new Map();
+  let disabledPackages = new Set();
+  if (mode === 'all') {
+    [installed, leanbackComponents, disabledPackages] = await Promise.all([
+      readInstalledPackages(targetDevice),
+      readLeanbackComponents(targetDevice),
+      readPackageSet(targetDevice, '-d')
+    ]);
+  }
+  const packages = mode === 'all' ? Array.from(installed.keys()) : Array.from(launcherComponents.keys());
 
-ipcMain.handle('list-packages', async () => {
-  return listLaunchablePackages();
-});
+  let versions = new Map();
+  try {
+    versions = await readPackageVersions(targetDevice);
+  } catch (error) {
+    console.warn('No se pudieron leer las versiones de los paquetes:', error.message);
+  }
 
-ipcMain.handle('launch-app', async (_event, pkg) => {
-  await launchApplication(pkg);
-  return true;
-});
+  const locales = await resolveLabelLocales(targetDevice);
+  const missing = [];
+  const result = packages.map(pkg => {
+    const version = versions.get(pkg) || null;
+    const cached = getCachedApp(targetDevice, pkg, version);
+    const cachedLabel = hasCachedLabels(cached) ? pickLabel(cached.labels, locales) : null;
+    if (!isCachedAppComplete(cached)) {
+      missing.push(pkg);
+    }
+    const details = installed.get(pkg) || {};
+    return {
+      package: pkg,
+      name: cachedLabel || pkg,
+      hasLabel: Boolean(cachedLabel),
+      labelResolved: hasCachedLabels(cached),
+      components: launcherComponents.get(pkg) || leanbackComponents.get(pkg) || [],
+      icon: cached ? toRendererIcon(cached.icon) : null,
+      launchable: launcherComponents.has(pkg),
+      leanback: leanbackComponents.has(pkg),
+      system: systemPackages.has(pkg),
+      enabled: !disabledPackages.has(pkg),
+      versionCode: Number.isFinite(details.versionCode) ? details.versionCode : (version ? version.versionCode : null),
+      uid: Number.isFinite(details.uid) ? details.uid : null,
+      apkPath: details.apkPath || null
+    };
+  });
+
+  touchCachedApps(targetDevice, packages);
+  if (missing.length) {
+    queueAppLabels(missing, targetDevice, versions);
+  }
+
+  return result;
+}
+
+const EXTRA_TYPE_FLAGS = {
+  string: '--es',
+  int: '--ei',
+  long: '--el',
+  float: '--ef',
+  bool: '--ez',
+  uri: '--eu'
+};
+
+function buildExtraArgs(extras) {
+  const list = Array.isArray(extras)
+    ? extras
+    : Object.entries(extras || {}).map(([key, value]) => ({ key, value }));
+  return list.map(extra => {
+    const key = extra && typeof extra.key === 'string' ? extra.key.trim() : '';
+    if (!/^[\w.-]+$/.test(key)) {
+      throw i18n.createError('INVALID_EXTRA', { key });
+    }
+    const type = extra.type || (typeof extra.value === 'boolean' ? 'bool' : 'string');
+    const flag = EXTRA_TYPE_FLAGS[type];
+    if (!flag) {
+      throw i18n.createError('INVALID_EXTRA', { key });
+    }
+    return `${flag} ${adbClient.quoteShellArg(key)} ${adbClient.quoteShellArg(extra.value)}`;
+  });
+}
+
+function buildFlagArgs(flags) {
+  let mask = 0;
+  const named = [];
+  (Array.isArray(flags) ? flags : []).forEach(flag => {
+    const value = typeof flag === 'string' ? flag.trim() : flag;
+    if (typeof value === 'number' || /^(0x[0-9a-f]+|\d+)$/i.test(value)) {
+      mask |= Number(value);
+      return;
+    }
+    if (!/^--activity-[a-z-]+$/.test(value)) {
+      throw i18n.createError('INVALID_FLAG', { flag: value });
+    }
+    named.push(value);
+  });
+  return mask ? [`-f 0x${(mask >>> 0).toString(16)}`, ...named] : named;
+}
+
+async function resolveLaunchComponent(packageName, deviceId) {
+  for (const category of ['LAUNCHER', 'LEANBACK_LAUNCHER']) {
+    const output = await adbClient.shell(
+      deviceId,
+      `cmd package resolve-activity --brief -a android.intent.action.MAIN -c android.intent.category.${category} ${packageName}`
+    );
+    const lines = output.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    const component = normalizeComponent(lines[lines.length - 1]);
+    if (component) return component;
+  }
+  return null;
+}
+
+function buildStartCommand(packageName, component, options) {
+  const args = ['am start -W'];
+  if (component) {
+    args.push(`-n ${adbClient.quoteShellArg(component)}`);
+  } else {
+    args.push(`-p ${packageName}`);
+  }
+  if (options.action) {
+    args.push(`-a ${adbClient.quoteShellArg(options.action)}`);
+  }
+  if (options.data) {
+    args.push(`-d ${adbClient.quoteShellArg(options.data)}`);
+  }
+  args.push(...buildExtraArgs(options.extras), ...buildFlagArgs(options.flags));
+  return args.join(' ');
+}
+
+function parseStartResult(output) {
+  const fields = {};
+  output.split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^(\w+):\s*(.*)$/);
+    if (match) fields[match[1]] = match[2].trim();
+  });
+  const toMillis = value => (value !== undefined && /^\d+$/.test(value) ? Number(value) : null);
+  return {
+    status: fields.Status || null,
+    launchState: fields.LaunchState || null,
+    activity: normalizeComponent(fields.Activity) || null,
+    totalTime: toMillis(fields.TotalTime),
+    waitTime: toMillis(fields.WaitTime),
+    broughtToFront: /brought to the front/i.test(output)
+  };
+}
+
+async function verifyLaunch(packageName, deviceId) {
+  await new Promise(resolve => setTimeout(resolve, LAUNCH_VERIFY_DELAY_MS));
+  const [resumedOutput, pidOutput] = await Promise.all([
+    adbClient.shell(deviceId, RESUMED_ACTIVITY_QUERY),
+    adbClient.shell(deviceId, `pidof ${packageName}`)
+  ]);
+  const pid = Number(pidOutput.trim().split(/\s+/)[0]) || null;
+  const foreground = resumedOutput.includes(`${packageName}/`);
+  if (!foreground && !pid) {
+    throw i18n.createError('APP_DIED', { package: packageName });
+  }
+  if (!foreground) {
+    throw i18n.createError('APP_NOT_FOREGROUND', { package: packageName });
+  }
+  return { pid, foreground };
+}
+
+function resolvePackageTarget(pkg, deviceId) {
+  const targetDevice = resolveDeviceId(deviceId);
+  if (!targetDevice) {
+    throw i18n.createError('NO_DEVICE');
+  }
+  const packageName = typeof pkg === 'string' ? pkg.trim() : '';
+  if (!/^[\w.]+$/.test(packageName)) {
+    throw i18n.createError('INVALID_PACKAGE');
+  }
+  return { targetDevice, packageName };
+}
+
+async function launchApplication(pkg, deviceId, options = {}) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+
+  let component = null;
+  if (options.component) {
+    component = normalizeComponent(options.component);
+    if (!component || !component.startsWith(`${packageName}/`)) {
+      throw i18n.createError('INVALID_COMPONENT', { component: options.component });
+    }
+  } else if (!options.action && !options.data) {
+    component = await resolveLaunchComponent(packageName, targetDevice);
+    if (!component) {
+      throw i18n.createError('ACTIVITY_NOT_FOUND', { package: packageName });
+    }
+  }
+
+  const output = await adbClient.shell(targetDevice, buildStartCommand(packageName, component, options));
+  const failure = output.split(/\r?\n/).find(line => /^Error( type \d+)?:|Exception/.test(line.trim()));
+  if (failure) {
+    throw i18n.createError('LAUNCH_FAILED', { package: packageName, details: failure.trim() });
+  }
+
+  const result = parseStartResult(output);
+  if (result.status && result.status !== 'ok') {
+    throw i18n.createError(result.status === 'timeout' ? 'LAUNCH_TIMEOUT' : 'LAUNCH_FAILED', {
+      package: packageName,
+      details: result.status
+    });
+  }
+
+  const verification = await verifyLaunch(packageName, targetDevice);
+  return { success: true, component: result.activity || component, ...result, ...verification };
+}
+
+async function confirmAction(action, packageName) {
+  const language = getLanguage();
+  const options = {
+    type: 'warning',
+    buttons: [i18n.translate(language, 'dialogs.cancel'), i18n.translate(language, `dialogs.${action}.confirm`)],
+    defaultId: 0,
+    cancelId: 0,
+    noLink: true,
+    message: i18n.translate(language, `dialogs.${action}.message`, { package: packageName }),
+    detail: i18n.translate(language, `dialogs.${action}.detail`, { package: packageName })
+  };
+  const { response } = mainWindow && !mainWindow.isDestroyed()
+    ? await dialog.showMessageBox(mainWindow, options)
+    : await dialog.showMessageBox(options);
+  return response === 1;
+}
+
+async function runPackageAction(pkg, deviceId, action, command, isSuccess) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+  if (action && !(await confirmAction(action, packageName))) {
+    return { success: false, cancelled: true };
+  }
+  const output = (await adbClient.shell(targetDevice, command(packageName))).trim();
+  if (!isSuccess(output)) {
+    throw i18n.createError('PACKAGE_ACTION_FAILED', { package: packageName, details: output });
+  }
+  return { success: true, deviceId: targetDevice, package: packageName, output };
+}
+
+function forceStopApplication(pkg, deviceId) {
+  return runPackageAction(pkg, deviceId, null, packageName => `am force-stop ${packageName}`, output => !output);
+}
+
+function clearApplicationData(pkg, deviceId) {
+  return runPackageAction(pkg, deviceId, 'clearData', packageName => `pm clear ${packageName}`, output => /^Success/.test(output));
+}
+
+async function uninstallApplication(pkg, deviceId) {
+  const result = await runPackageAction(
+    pkg,
+    deviceId,
+    'uninstall',
+    packageName => `pm uninstall ${packageName}`,
+    output => /^Success/.test(output)
+  );
+  if (result.success) forgetCachedApp(result.deviceId, result.package);
+  return result;
+}
+
+function disableApplication(pkg, deviceId) {
+  return runPackageAction(
+    pkg,
+    deviceId,
+    'disable',
+    packageName => `pm disable-user --user 0 ${packageName}`,
+    output => /new state: disabled/.test(output)
+  );
+}
+
+function enableApplication(pkg, deviceId) {
+  return runPackageAction(pkg, deviceId, null, packageName => `pm enable ${packageName}`, output => /new state: enabled/.test(output));
+}
+
+function openApplicationInfo(pkg, deviceId) {
+  return runPackageAction(
+    pkg,
+    deviceId,
+    null,
+    packageName => `am start -a android.settings.APPLICATION_DETAILS_SETTINGS -d package:${packageName}`,
+    output => !/^Error|Exception/m.test(output)
+  );
+}
+
+function findPackageBlock(output, packageName) {
+  const lines = output.split(/\r?\n/);
+  const start = lines.findIndex(line => line.trim().startsWith(`Package [${packageName}]`));
+  if (start === -1) return null;
+  const indent = lines[start].search(/\S/);
+  const block = [];
+  for (const line of lines.slice(start + 1)) {
+    if (line.trim() && line.search(/\S/) <= indent) break;
+    block.push(line);
+  }
+  return block;
+}
+
+function parsePermissionLine(line) {
+  const match = line.trim().match(/^([\w.]+)(?::\s*granted=(true|false))?(?:,\s*flags=\[\s*([^\]]*)\])?/);
+  if (!match) return null;
+  return {
+    name: match[1],
+    granted: match[2] === undefined ? null : match[2] === 'true',
+    flags: match[3] ? match[3].trim().split(/[\s|]+/).filter(Boolean) : []
+  };
+}
+
+function parsePackageDetails(output, packageName) {
+  const block = findPackageBlock(output, packageName);
+  if (!block) return null;
+
+  const details = {
+    package: packageName,
+    versionName: null,
+    versionCode: null,
+    minSdk: null,
+    targetSdk: null,
+    uid: null,
+    firstInstallTime: null,
+    lastUpdateTime: null,
+    installer: null,
+    codePath: null,
+    dataDir: null,
+    system: false,
+    permissions: { requested: [], install: [], runtime: [] }
+  };
+  const fields = {
+    versionName: /\bversionName=(\S+)/,
+    versionCode: /\bversionCode=(\d+)/,
+    minSdk: /\bminSdk=(\d+)/,
+    targetSdk: /\btargetSdk=(\d+)/,
+    uid: /\b(?:userId|appId)=(\d+)/,
+    firstInstallTime: /^\s*firstInstallTime=(.+)$/,
+    lastUpdateTime: /^\s*lastUpdateTime=(.+)$/,
+    installer: /\binstallerPackageName=(\S+)/,
+    codePath: /^\s*codePath=(\S+)/,
+    dataDir: /^\s*dataDir=(\S+)/
+  };
+  const numeric = ['versionCode', 'minSdk', 'targetSdk', 'uid'];
+
+  let section = null;
+  let sectionIndent = 0;
+  block.forEach(line => {
+    if (!line.trim()) return;
+    const indent = line.search(/\S/);
+    if (section && indent > sectionIndent) {
+      const permission = parsePermissionLine(line);
+      if (!permission) return;
+      if (section === 'requested') {
+        details.permissions.requested.push(permission.name);
+      } else {
+        details.permissions[section].push(permission);
+      }
+      return;
+    }
+    section = null;
+
+    const header = line.trim().match(/^(requested|install|runtime) permissions:$/);
+    if (header) {
+      section = header[1];
+      sectionIndent = indent;
+      return;
+    }
+    if (/^\s*(?:pkgFlags|flags)=\[.*\bSYSTEM\b/.test(line)) {
+      details.system = true;
+    }
+    Object.entries(fields).forEach(([key, pattern]) => {
+      if (details[key] !== null) return;
+      const match = line.match(pattern);
+      if (match) {
+        details[key] = numeric.includes(key) ? Number(match[1]) : match[1].trim();
+      }
+    });
+  });
+
+  if (details.installer === 'null') details.installer = null;
+  return details;
+}
+
+function parseDiskStats(output, packageName) {
+  const readList = label => {
+    const match = output.match(new RegExp(`^${label}: \\[(.*)\\]`, 'm'));
+    return match ? match[1].split(',').map(value => value.trim().replace(/^"|"$/g, '')) : [];
+  };
+  const index = readList('Package Names').indexOf(packageName);
+  if (index === -1) return null;
+  const size = label => {
+    const value = Number(readList(label)[index]);
+    return Number.isFinite(value) ? value : null;
+  };
+  return { app: size('App Sizes'), data: size('App Data Sizes'), cache: size('Cache Sizes') };
+}
+
+async function getPackageDetails(pkg, deviceId) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+  const details = parsePackageDetails(await adbClient.shell(targetDevice, `dumpsys package ${packageName}`), packageName);
+  if (!details) {
+    throw i18n.createError('PACKAGE_NOT_FOUND', { package: packageName });
+  }
+
+  let sizes = null;
+  try {
+    sizes = parseDiskStats(await adbClient.shell(targetDevice, 'dumpsys diskstats'), packageName);
+  } catch (error) {
+    console.warn(`No se pudo leer el tamaño de ${packageName}:`, error.message);
+  }
+  return { ...details, deviceId: targetDevice, sizes };
+}
+
+function parseAppOps(output) {
+  const ops = [];
+  output.split(/\r?\n/).forEach(line => {
+    const match = line.trim().match(/^(Uid mode: )?([A-Z][A-Z0-9_]+): ([a-z]+)/);
+    if (!match) return;
+    const scope = match[1] ? 'uid' : 'package';
+    if (ops.some(entry => entry.op === match[2] && entry.scope === scope)) return;
+    ops.push({ op: match[2], mode: match[3], scope });
+  });
+  return ops;
+}
+
+async function readPermissionState(packageName, deviceId) {
+  const details = parsePackageDetails(await adbClient.shell(deviceId, `dumpsys package ${packageName}`), packageName);
+  if (!details) {
+    throw i18n.createError('PACKAGE_NOT_FOUND', { package: packageName });
+  }
+
+  let appops = [];
+  try {
+    appops = parseAppOps(await adbClient.shell(deviceId, `cmd appops get ${packageName}`));
+  } catch (error) {
+    console.warn(`No se pudieron leer los appops de ${packageName}:`, error.message);
+  }
+  return {
+    deviceId,
+    package: packageName,
+    runtime: details.permissions.runtime,
+    appops
+  };
+}
+
+async function getPermissionState(pkg, deviceId) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+  return readPermissionState(packageName, targetDevice);
+}
+
+async function setRuntimePermission(pkg, deviceId, permission, granted) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+  const name = typeof permission === 'string' ? permission.trim() : '';
+  if (!/^[\w.]+$/.test(name)) {
+    throw i18n.createError('INVALID_PERMISSION', { permission });
+  }
+  const output = (await adbClient.shell(targetDevice, `pm ${granted ? 'grant' : 'revoke'} ${packageName} ${name}`)).trim();
+  if (output) {
+    throw i18n.createError('PACKAGE_ACTION_FAILED', { package: packageName, details: output });
+  }
+  return readPermissionState(packageName, targetDevice);
+}
+
+async function resetRuntimePermissions(pkg, deviceId) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+  if (!(await confirmAction('resetPermissions', packageName))) {
+    return { success: false, cancelled: true };
+  }
+  const output = (await adbClient.shell(targetDevice, 'pm reset-permissions')).trim();
+  if (output) {
+    throw i18n.createError('PACKAGE_ACTION_FAILED', { package: packageName, details: output });
+  }
+  return readPermissionState(packageName, targetDevice);
+}
+
+async function setAppOpMode(pkg, deviceId, op, mode, scope) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+  const name = typeof op === 'string' ? op.trim() : '';
+  if (!/^[A-Z][A-Z0-9_]+$/.test(name)) {
+    throw i18n.createError('INVALID_APPOP', { op });
+  }
+  if (!APPOP_MODES.includes(mode)) {
+    throw i18n.createError('INVALID_APPOP_MODE', { mode });
+  }
+  const uidFlag = scope === 'uid' ? '--uid ' : '';
+  const output = (await adbClient.shell(targetDevice, `cmd appops set ${uidFlag}${packageName} ${name} ${mode}`)).trim();
+  if (output) {
+    throw i18n.createError('PACKAGE_ACTION_FAILED', { package: packageName, details: output });
+  }
+  return readPermissionState(packageName, targetDevice);
+}
+
+function sanitizeFileName(value) {
+  return String(value).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_');
+}
+
+async function sha256File(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+async function readLocalApkManifest(filePath) {
+  const source = await openFileSource(filePath);
+  try {
+    return await readApkManifest(source);
+  } catch (error) {
+    console.warn(`No se pudo leer el manifiesto de ${filePath}:`, error.message);
+    return null;
+  } finally {
+    await source.close();
+  }
+}
+
+async function readDeviceSummary(deviceId) {
+  const output = await adbClient.shell(
+    deviceId,
+    'getprop ro.product.manufacturer; getprop ro.product.model; getprop ro.build.version.release; getprop ro.build.version.sdk'
+  );
+  const [manufacturer, model, release, sdk] = output.split(/\r?\n/).map(line => line.trim());
+  return {
+    serial: deviceId,
+    manufacturer: manufacturer || null,
+    model: model || null,
+    release: release || null,
+    sdk: sdk ? Number(sdk) : null
+  };
+}
+
+async function chooseExportDestination(packageName, version, format) {
+  const language = getLanguage();
+  const defaultFolder = readPrefs()[EXPORT_FOLDER_KEY] || app.getPath('downloads');
+  const owner = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+  if (format === 'bundle') {
+    const options = {
+      title: i18n.translate(language, 'dialogs.exportBundle.title', { package: packageName }),
+      defaultPath: path.join(defaultFolder, sanitizeFileName(`${packageName}-${version}${EXPORT_BUNDLE_EXTENSION}`)),
+      filters: [{ name: i18n.translate(language, 'dialogs.exportBundle.filter'), extensions: [EXPORT_BUNDLE_EXTENSION.slice(1)] }]
+    };
+    const { canceled, filePath } = owner ? await dialog.showSaveDialog(owner, options) : await dialog.showSaveDialog(options);
+    return canceled || !filePath ? null : filePath;
+  }
+
+  const options = {
+    title: i18n.translate(language, 'dialogs.exportFolder.title', { package: packageName }),
+    defaultPath: defaultFolder,
+    properties: ['openDirectory', 'createDirectory']
+  };
+  const { canceled, filePaths } = owner ? await dialog.showOpenDialog(owner, options) : await dialog.showOpenDialog(options);
+  return canceled || !filePaths.length ? null : filePaths[0];
+}
+
+async function exportApplication(pkg, deviceId, format) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+  const remotePaths = await readApkPaths(packageName, targetDevice);
+  if (!remotePaths.length) {
+    throw i18n.createError('EXPORT_APK_NOT_FOUND', { package: packageName });
+  }
+
+  const installed = parsePackageVersions(await adbClient.shell(targetDevice, `dumpsys package ${packageName}`)).get(packageName) || {};
+  const versionCode = Number.isFinite(installed.versionCode) ? installed.versionCode : null;
+  const destination = await chooseExportDestination(packageName, versionCode === null ? 'unknown' : versionCode, format);
+  if (!destination) {
+    return { success: false, cancelled: true };
+  }
+
+  const prefs = readPrefs();
+  prefs[EXPORT_FOLDER_KEY] = format === 'bundle' ? path.dirname(destination) : destination;
+  writePrefs(prefs);
+
+  const workDir = format === 'bundle'
+    ? await fs.promises.mkdtemp(path.join(os.tmpdir(), 'adb-export-'))
+    : path.join(destination, sanitizeFileName(`${packageName}-${versionCode === null ? 'unknown' : versionCode}`));
+  const createdWorkDir = await fs.promises.mkdir(workDir, { recursive: true });
+  try {
+    const files = [];
+    for (const [index, remotePath] of remotePaths.entries()) {
+      const name = sanitizeFileName(path.posix.basename(remotePath));
+      emitToRenderer('export-progress', { package: packageName, file: name, index, total: remotePaths.length });
+      const localPath = path.join(workDir, name);
+      await adbClient.pull(targetDevice, remotePath, localPath);
+      const info = await readLocalApkManifest(localPath);
+      const { size } = await fs.promises.stat(localPath);
+      files.push({
+        name,
+        remotePath,
+        split: info ? info.split : null,
+        versionCode: info ? info.versionCode : null,
+        versionName: info ? info.versionName : null,
+        size,
+        sha256: await sha256File(localPath)
+      });
+    }
+
+    const baseFile = files.find(file => !file.split) || files[0];
+    const manifest = {
+      package: packageName,
+      versionCode: versionCode === null ? baseFile.versionCode : versionCode,
+      versionName: baseFile.versionName,
+      lastUpdateTime: installed.lastUpdateTime || null,
+      device: await readDeviceSummary(targetDevice),
+      exportedAt: new Date().toISOString(),
+      files
+    };
+    const manifestPath = path.join(workDir, EXPORT_MANIFEST_NAME);
+    await fs.promises.writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+
+    if (format === 'bundle') {
+      await writeStoredZip(destination, [
+        ...files.map(file => ({ name: file.name, path: path.join(workDir, file.name) })),
+        { name: EXPORT_MANIFEST_NAME, path: manifestPath }
+      ]);
+    }
+
+    return {
+      success: true,
+      deviceId: targetDevice,
+      package: packageName,
+      path: format === 'bundle' ? destination : workDir,
+      files: files.length
+    };
+  } catch (error) {
+    // Una carpeta a medias no sirve como copia; solo se borra si la creó esta exportación
+    if (format !== 'bundle' && createdWorkDir) {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+    throw error;
+  } finally {
+    if (format === 'bundle') {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+function normalizeWifiHost(host) {
+  const value = typeof host === 'string' ? host.trim() : '';
+  if (!value || !/^[A-Za-z0-9.-]+$/.test(value)) {
+    throw i18n.createError('INVALID_HOST');
+  }
+  return value;
+}
+
+function normalizeWifiPort(port, fallback) {
+  const raw = typeof port === 'string' ? port.trim() : port;
+  const value = raw === '' || raw === undefined || raw === null ? fallback : Number(raw);
+  if (!Number.isInteger(value) || value < 1 || value > 65535) {
+    throw i18n.createError('INVALID_PORT');
+  }
+  return value;
+}
+
+function getWifiEndpoints() {
+  const prefs = readPrefs();
+  const stored = prefs && Array.isArray(prefs[WIFI_ENDPOINTS_KEY]) ? prefs[WIFI_ENDPOINTS_KEY] : [];
+  return stored.filter(entry => entry && typeof entry.host === 'string' && Number.isInteger(entry.port));
+}
+
+function saveWifiEndpoints(endpoints) {
+  const prefs = readPrefs();
+  prefs[WIFI_ENDPOINTS_KEY] = endpoints;
+  writePrefs(prefs);
+  return endpoints;
+}
+
+function rememberWifiEndpoint(host, port) {
+  const others = getWifiEndpoints().filter(entry => entry.host !== host || entry.port !== port);
+  return saveWifiEndpoints([{ host, port, lastConnectedAt: Date.now() }, ...others].slice(0, MAX_WIFI_ENDPOINTS));
+}
+
+function forgetWifiEndpoint(host, port) {
+  return saveWifiEndpoints(getWifiEndpoints().filter(entry => entry.host !== host || entry.port !== port));
+}
+
+async function pairWifiDevice(host, port, code) {
+  const targetHost = normalizeWifiHost(host);
+  const targetPort = normalizeWifiPort(port);
+  const pairingCode = typeof code === 'string' ? code.trim() : String(code || '');
+  if (!/^\d{6}$/.test(pairingCode)) {
+    throw i18n.createError('INVALID_PAIRING_CODE');
+  }
+  const output = (await run(`${adb} pair ${targetHost}:${targetPort} ${pairingCode}`)).trim();
+  if (!/successfully paired/i.test(output)) {
+    throw i18n.createError('PAIRING_FAILED', { details: output });
+  }
+  return { success: true, output };
+}
+
+async function connectWifiDevice(host, port) {
+  const targetHost = normalizeWifiHost(host);
+  const targetPort = normalizeWifiPort(port, DEFAULT_TCPIP_PORT);
+  const endpoint = `${targetHost}:${targetPort}`;
+  const output = (await run(`${adb} connect ${endpoint}`)).trim();
+  if (!/connected to/i.test(output) || /failed|unable|cannot/i.test(output)) {
+    throw i18n.createError('WIFI_CONNECT_FAILED', { endpoint, details: output });
+  }
+  const endpoints = rememberWifiEndpoint(targetHost, targetPort);
+  return { success: true, endpoint, output, endpoints };
+}
+
+async function disconnectWifiDevice(deviceId) {
+  const target = normalizeDeviceId(deviceId);
+  if (!target) {
+    throw i18n.createError('NO_DEVICE');
+  }
+  const output = (await run(`${adb} disconnect ${target}`)).trim();
+  if (target === currentDevice) {
+    setCurrentDevice('');
+  }
+  return { success: true, output };
+}
+
+async function enableTcpip(deviceId, port) {
+  const targetDevice = resolveDeviceId(deviceId);
+  if (!targetDevice) {
+    throw i18n.createError('NO_DEVICE');
+  }
+  const targetPort = normalizeWifiPort(port, DEFAULT_TCPIP_PORT);
+
+  let host = '';
+  try {
+    const addressOutput = await adbClient.shell(targetDevice, 'ip -f inet addr show wlan0');
+    const match = addressOutput.match(/inet\s+(\d{1,3}(?:\.\d{1,3}){3})/);
+    host = match ? match[1] : '';
+  } catch (error) {
+    console.warn('No se pudo obtener la IP del dispositivo:', error.message);
+  }
+
+  const output = (await run(buildAdbCommand(`tcpip ${targetPort}`, targetDevice))).trim();
+  return { success: true, host, port: targetPort, output };
+}
+
+function sanitizeScrcpySettings(settings = {}) {
+  const sanitized = {};
+  if (settings.mirrorBitRate !== undefined) {
+    const bitRate = Number(settings.mirrorBitRate);
+    if (!Number.isFinite(bitRate) || bitRate <= 0 || bitRate > MAX_SCRCPY_BIT_RATE) {
+      throw i18n.createError('INVALID_BIT_RATE', { value: settings.mirrorBitRate, max: MAX_SCRCPY_BIT_RATE });
+    }
+    sanitized.mirrorBitRate = Math.round(bitRate * 10) / 10;
+  }
+  if (settings.turnScreenOff !== undefined) sanitized.turnScreenOff = Boolean(settings.turnScreenOff);
+  if (settings.stayAwake !== undefined) sanitized.stayAwake = Boolean(settings.stayAwake);
+  return sanitized;
+}
+
+function getScrcpySettings() {
+  return { ...DEFAULT_SCRCPY_SETTINGS, ...(readPrefs()[SCRCPY_SETTINGS_KEY] || {}) };
+}
+
+function saveScrcpySettings(settings) {
+  const prefs = readPrefs();
+  const merged = { ...DEFAULT_SCRCPY_SETTINGS, ...(prefs[SCRCPY_SETTINGS_KEY] || {}), ...sanitizeScrcpySettings(settings) };
+  prefs[SCRCPY_SETTINGS_KEY] = merged;
+  writePrefs(prefs);
+  return merged;
+}
+
+function buildWindowTitleArgs(title) {
+  if (typeof title !== 'string') return [];
+  const normalized = title.trim().replace(/\s+/g, ' ');
+  if (!normalized) return [];
+  return ['--window-title', normalized];
+}
+
+function listScrcpySessions() {
+  return Array.from(scrcpySessions.values()).map(session => ({
+    id: session.id,
+    type: session.type,
+    deviceId: session.deviceId,
+    title: session.title,
+    package: session.package,
+    windowVisible: session.windowVisible,
+    startedAt: session.startedAt
+  }));
+}
+
+function emitScrcpySessions() {
+  emitToRenderer('scrcpy-sessions-changed', listScrcpySessions());
+}
+
+function launchScrcpyProcess(args, metadata = {}) {
+  return new Promise((resolve, reject) => {
+    if (isInstallingScrcpy) {
+      reject(i18n.createError('SCRCPY_INSTALL_BUSY'));
+      return;
+    }
+    let child;
+    try {
+      child = spawn(scrcpyExecutable, args, { cwd: base, stdio: 'ignore' });
+    } catch (error) {
+      reject(i18n.createError('SCRCPY_FAILED', { details: error.message }));
+      return;
+    }
+
+    const id = nextScrcpySessionId++;
+    const session = {
+      id,
+      type: metadata.type || 'mirror',
+      deviceId: metadata.deviceId || null,
+      title: metadata.title || '',
+      package: metadata.package || null,
+      windowVisible: false,
+      startedAt: Date.now(),
+      process: child
+    };
+
+    child.once('spawn', () => {
+      scrcpySessions.set(id, session);
+      windowTracker.register(id, session.title, visible => onScrcpyWindowVisibilityChanged(id, visible));
+      emitScrcpySessions();
+      resolve(session);
+    });
+    child.once('error', error => {
+      console.error(`scrcpy ${session.type} error:`, error);
+      windowTracker.unregister(id);
+      if (!scrcpySessions.delete(id)) {
+        reject(error.code === 'ENOENT'
+          ? i18n.createError('SCRCPY_NOT_FOUND')
+          : i18n.createError('SCRCPY_FAILED', { details: error.message }));
+        return;
+      }
+      emitScrcpySessions();
+    });
+    child.once('close', () => {
+      windowTracker.unregister(id);
+      if (scrcpySessions.delete(id)) emitScrcpySessions();
+    });
+  });
+}
+
+function onScrcpyWindowVisibilityChanged(id, visible) {
+  const session = scrcpySessions.get(id);
+  if (!session) return;
+  session.windowVisible = visible;
+  emitScrcpySessions();
+  if (!visible) {
+    // La ventana desapareció pero el proceso sigue vivo: se cierra para liberar la pantalla virtual
+    console.warn(`La ventana de ${session.title} ya no está visible, se cerrará la sesión.`);
+    session.process.kill();
+  }
+}
+
+function findMirrorSession(deviceId) {
+  return Array.from(scrcpySessions.values()).find(session => session.type === 'mirror' && session.deviceId === deviceId) || null;
+}
+
+async function mirrorScreen(deviceId) {
+  const targetDevice = resolveDeviceId(deviceId);
+  if (!targetDevice) {
+    throw i18n.createError('NO_DEVICE');
+  }
+  const existing = findMirrorSession(targetDevice);
+  if (existing) {
+    return { id: existing.id, deviceId: targetDevice, alreadyRunning: true };
+  }
+
+  const settings = getScrcpySettings();
+  const args = ['--no-audio', '-s', targetDevice];
+  if (settings.stayAwake) args.push('--stay-awake');
+  if (settings.mirrorBitRate) args.push(`--video-bit-rate=${settings.mirrorBitRate}M`);
+  if (settings.turnScreenOff) args.push('--turn-screen-off');
+  const title = `scrcpy mirror ${targetDevice}`;
+  args.push(...buildWindowTitleArgs(title));
+
+  const session = await launchScrcpyProcess(args, { type: 'mirror', deviceId: targetDevice, title });
+  return { id: session.id, deviceId: targetDevice, alreadyRunning: false };
+}
+
+function sanitizeAppProfile(profile = {}) {
+  const sanitized = {};
+  Object.entries(PROFILE_LIMITS).forEach(([field, [min, max]]) => {
+    const raw = profile[field];
+    if (raw === undefined || raw === null || raw === '') {
+      sanitized[field] = null;
+      return;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw i18n.createError('INVALID_PROFILE_VALUE', { field, value: raw, min, max });
+    }
+    sanitized[field] = field === 'bitRate' ? Math.round(value * 10) / 10 : Math.round(value);
+  });
+  if ((sanitized.width === null) !== (sanitized.height === null)) {
+    throw i18n.createError('INVALID_PROFILE_RESOLUTION');
+  }
+  return sanitized;
+}
+
+function getAppProfiles() {
+  const profiles = readPrefs()[APP_PROFILES_KEY];
+  return profiles && typeof profiles === 'object' ? profiles : {};
+}
+
+function normalizeProfilePackage(pkg) {
+  const packageName = typeof pkg === 'string' ? pkg.trim() : '';
+  if (!/^[\w.]+$/.test(packageName)) {
+    throw i18n.createError('INVALID_PACKAGE');
+  }
+  return packageName;
+}
+
+function getAppProfile(pkg) {
+  const packageName = normalizeProfilePackage(pkg);
+  const profiles = getAppProfiles();
+  const source = profiles[packageName] ? 'package' : profiles[DEFAULT_PROFILE_KEY] ? 'default' : 'none';
+  const stored = profiles[packageName] || profiles[DEFAULT_PROFILE_KEY] || {};
+  const profile = { ...DEFAULT_APP_PROFILE };
+  Object.keys(DEFAULT_APP_PROFILE).forEach(field => {
+    if (stored[field] !== null && stored[field] !== undefined) profile[field] = stored[field];
+  });
+  return { package: packageName, source, profile };
+}
+
+function saveAppProfile(pkg, profile, options = {}) {
+  const packageName = normalizeProfilePackage(pkg);
+  const sanitized = sanitizeAppProfile(profile && typeof profile === 'object' ? profile : {});
+  const prefs = readPrefs();
+  const profiles = { ...(prefs[APP_PROFILES_KEY] || {}) };
+  if (options.forAll) {
+    profiles[DEFAULT_PROFILE_KEY] = sanitized;
+    delete profiles[packageName];
+  } else {
+    profiles[packageName] = sanitized;
+  }
+  prefs[APP_PROFILES_KEY] = profiles;
+  writePrefs(prefs);
+  return getAppProfile(packageName);
+}
+
+function resetAppProfile(pkg) {
+  const packageName = normalizeProfilePackage(pkg);
+  const prefs = readPrefs();
+  const profiles = { ...(prefs[APP_PROFILES_KEY] || {}) };
+  delete profiles[packageName];
+  prefs[APP_PROFILES_KEY] = profiles;
+  writePrefs(prefs);
+  return getAppProfile(packageName);
+}
+
+async function launchInVirtualDisplay(pkg, deviceId) {
+  const { targetDevice, packageName } = resolvePackageTarget(pkg, deviceId);
+  const { profile } = getAppProfile(packageName);
+  const settings = getScrcpySettings();
+
+  const resolution = profile.width && profile.height ? `${profile.width}x${profile.height}` : '';
+  const display = profile.density ? `${resolution}/${profile.density}` : resolution;
+  const args = ['--no-audio', '-s', targetDevice];
+  if (settings.stayAwake) args.push('--stay-awake');
+  if (profile.bitRate) args.push(`--video-bit-rate=${profile.bitRate}M`);
+  args.push(display ? `--new-display=${display}` : '--new-display');
+  args.push(`--start-app=${packageName}`);
+
+  const cached = getCachedApp(targetDevice, packageName);
+  const label = hasCachedLabels(cached) ? pickLabel(cached.labels, await resolveLabelLocales(targetDevice)) : null;
+  const title = `${label || packageName} scrcpy`;
+  args.push(...buildWindowTitleArgs(title));
+
+  const session = await launchScrcpyProcess(args, { type: 'app', deviceId: targetDevice, title, package: packageName });
+  return { id: session.id, deviceId: targetDevice, package: packageName, profile };
+}
+
+function stopScrcpySession(id) {
+  const session = scrcpySessions.get(Number(id));
+  if (!session) return false;
+  session.process.kill();
+  return true;
+}
+
+function stopAllScrcpySessions() {
+  scrcpySessions.forEach(session => session.process.kill());
+}
+
+function compareVersions(left, right) {
+  const leftParts = String(left).split('.').map(Number);
+  const rightParts = String(right).split('.').map(Number);
+  for (let index = 0; index < Math.max(leftParts.length, rightParts.length); index += 1) {
+    const diff = (leftParts[index] || 0) - (rightParts[index] || 0);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+}
+
+async function listScrcpyMarkers() {
+  try {
+    const entries = await fs.promises.readdir(base, { withFileTypes: true });
+    return entries
+      .filter(entry => entry.isDirectory() && entry.name.startsWith(SCRCPY_MARKER_PREFIX))
+      .map(entry => entry.name);
+  } catch {
+    return [];
+  }
+}
+
+async function getInstalledScrcpy() {
+  const installed = (await listScrcpyMarkers())
+    .map(markerName => ({ markerName, version: markerName.slice(SCRCPY_MARKER_PREFIX.length) }))
+    .sort((left, right) => compareVersions(right.version, left.version));
+  return installed[0] || null;
+}
+
+async function chooseScrcpySource(kind) {
+  const language = getLanguage();
+  const owner = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+  const options = kind === 'directory'
+    ? {
+      title: i18n.translate(language, 'dialogs.scrcpyFolder.title'),
+      defaultPath: app.getPath('downloads'),
+      properties: ['openDirectory']
+    }
+    : {
+      title: i18n.translate(language, 'dialogs.scrcpyArchive.title'),
+      defaultPath: app.getPath('downloads'),
+      filters: [{ name: i18n.translate(language, 'dialogs.scrcpyArchive.filter'), extensions: ['zip'] }],
+      properties: ['openFile']
+    };
+  const { canceled, filePaths } = owner ? await dialog.showOpenDialog(owner, options) : await dialog.showOpenDialog(options);
+  return canceled || !filePaths.length ? null : filePaths[0];
+}
+
+async function findScrcpyArchive(folder) {
+  const archives = (await fs.promises.readdir(folder))
+    .map(name => ({ name, match: name.match(SCRCPY_ARCHIVE_PATTERN) }))
+    .filter(entry => entry.match)
+    .sort((left, right) => compareVersions(right.match[1], left.match[1]));
+  if (!archives.length) {
+    throw i18n.createError('SCRCPY_ARCHIVE_NOT_FOUND', { folder });
+  }
+  return path.join(folder, archives[0].name);
+}
+
+function findChecksum(content, fileName, allowBare) {
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.trim().match(/^([0-9a-f]{64})(?:\s+\*?(.+))?$/i);
+    if (!match) continue;
+    if (match[2] ? path.basename(match[2].trim()) === fileName : allowBare) {
+      return match[1].toLowerCase();
+    }
+  }
+  return null;
+}
+
+// Se acepta un archivo <zip>.sha256 junto al zip o la lista SHA256SUMS publicada con la versión
+async function readExpectedChecksum(archivePath) {
+  const fileName = path.basename(archivePath);
+  const candidates = [
+    { file: `${archivePath}${SCRCPY_CHECKSUM_EXTENSION}`, allowBare: true },
+    ...SCRCPY_CHECKSUM_FILES.map(name => ({ file: path.join(path.dirname(archivePath), name), allowBare: false }))
+  ];
+  for (const candidate of candidates) {
+    let content;
+    try {
+      content = await fs.promises.readFile(candidate.file, 'utf8');
+    } catch {
+      continue;
+    }
+    const checksum = findChecksum(content, fileName, candidate.allowBare);
+    if (checksum) return checksum;
+  }
+  return null;
+}
+
+async function extractScrcpyArchive(archivePath, destination) {
+  const file = path.basename(archivePath);
+  const source = await openFileSource(archivePath);
+  try {
+    const zip = await openZip(source);
+    for (const name of zip.entries.keys()) {
+      const target = path.resolve(destination, name);
+      if (!target.startsWith(`${destination}${path.sep}`)) {
+        throw i18n.createError('SCRCPY_ARCHIVE_INVALID', { file, details: name });
+      }
+      if (name.endsWith('/')) {
+        await fs.promises.mkdir(target, { recursive: true });
+        continue;
+      }
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await zip.extractEntry(name, target);
+    }
+  } catch (error) {
+    throw error.code === 'SCRCPY_ARCHIVE_INVALID' ? error : i18n.createError('SCRCPY_ARCHIVE_INVALID', { file, details: i18n.errorDetails(error) });
+  } finally {
+    await source.close();
+  }
+}
+
+async function finalizeScrcpyInstallation({ file, version, stagingPath }) {
+  const markerName = `${SCRCPY_MARKER_PREFIX}${version}`;
+  const folders = (await fs.promises.readdir(stagingPath, { withFileTypes: true })).filter(entry => entry.isDirectory());
+  const extracted = folders.find(entry => entry.name === markerName) ||
+    folders.find(entry => entry.name.startsWith(SCRCPY_MARKER_PREFIX)) ||
+    (folders.length === 1 ? folders[0] : null);
+  if (!extracted) {
+    throw i18n.createError('SCRCPY_ARCHIVE_INVALID', { file, details: markerName });
+  }
+  const markerPath = path.join(base, markerName);
+  await fs.promises.rm(markerPath, { recursive: true, force: true });
+  await fs.promises.rename(path.join(stagingPath, extracted.name), markerPath);
+
+  // Los archivos se mueven junto al ejecutable; la carpeta vacía queda como marca de la versión instalada
+  for (const entry of await fs.promises.readdir(markerPath)) {
+    const destination = path.join(base, entry);
+    await fs.promises.rm(destination, { recursive: true, force: true });
+    await fs.promises.rename(path.join(markerPath, entry), destination);
+  }
+
+  const markers = await listScrcpyMarkers();
+  for (const marker of markers.filter(name => name !== markerName)) {
+    await fs.promises.rm(path.join(base, marker), { recursive: true, force: true });
+  }
+  return { markerName, version };
+}
+
+async function installScrcpyFromLocal(kind) {
+  if (process.platform !== 'win32') {
+    throw i18n.createError('SCRCPY_INSTALL_UNSUPPORTED');
+  }
+  if (isInstallingScrcpy || scrcpySessions.size) {
+    throw i18n.createError('SCRCPY_INSTALL_BUSY');
+  }
+
+  isInstallingScrcpy = true;
+  let stagingPath = null;
+  try {
+    const selected = await chooseScrcpySource(kind);
+    if (!selected) {
+      return { success: false, cancelled: true };
+    }
+    const archivePath = kind === 'directory' ? await findScrcpyArchive(selected) : selected;
+    const file = path.basename(archivePath);
+    const match = file.match(SCRCPY_ARCHIVE_PATTERN);
+    if (!match) {
+      throw i18n.createError('SCRCPY_ARCHIVE_INVALID', { file, details: SCRCPY_MARKER_PREFIX });
+    }
+
+    emitToRenderer('scrcpy-install-progress', { file, stage: 'verifying' });
+    const expected = await readExpectedChecksum(archivePath);
+    if (!expected) {
+      throw i18n.createError('SCRCPY_CHECKSUM_MISSING', { file });
+    }
+    const actual = await sha256File(archivePath);
+    if (actual !== expected) {
+      throw i18n.createError('SCRCPY_CHECKSUM_MISMATCH', { file, expected, actual });
+    }
+
+    // Se descomprime aparte (en el mismo volumen, para poder renombrar) y solo se mueve si todo salió bien
+    emitToRenderer('scrcpy-install-progress', { file, stage: 'extracting' });
+    stagingPath = await fs.promises.mkdtemp(path.join(path.resolve(base), '.scrcpy-install-'));
+    await extractScrcpyArchive(archivePath, stagingPath);
+
+    // adb.exe forma parte del paquete y Windows no deja reemplazarlo mientras el servidor está en marcha
+    emitToRenderer('scrcpy-install-progress', { file, stage: 'installing' });
+    const trackerWasRunning = !deviceTrackerStopped;
+    stopDeviceTracker();
+    try {
+      await run(`${adb} kill-server`).catch(() => {});
+      const installed = await finalizeScrcpyInstallation({ file, version: match[1], stagingPath });
+      return { success: true, path: archivePath, ...installed };
+    } finally {
+      if (trackerWasRunning) startDeviceTracker();
+    }
+  } finally {
+    if (stagingPath) {
+      await fs.promises.rm(stagingPath, { recursive: true, force: true });
+    }
+    isInstallingScrcpy = false;
+  }
+}
+
+function sanitizeCaptureSettings(settings = {}) {
+  const sanitized = {};
+  if (settings.folder !== undefined) {
+    sanitized.folder = typeof settings.folder === 'string' && settings.folder.trim() ? path.resolve(settings.folder.trim()) : null;
+  }
+  if (settings.timeLimit !== undefined) {
+    const timeLimit = Number(settings.timeLimit);
+    if (!Number.isInteger(timeLimit) || timeLimit < 1 || timeLimit > MAX_RECORD_TIME_LIMIT) {
+      throw i18n.createError('INVALID_RECORD_TIME_LIMIT', { value: settings.timeLimit, max: MAX_RECORD_TIME_LIMIT });
+    }
+    sanitized.timeLimit = timeLimit;
+  }
+  if (settings.bitRate !== undefined) {
+    const bitRate = Number(settings.bitRate);
+    if (!Number.isFinite(bitRate) || bitRate <= 0 || bitRate > MAX_RECORD_BIT_RATE) {
+      throw i18n.createError('INVALID_BIT_RATE', { value: settings.bitRate, max: MAX_RECORD_BIT_RATE });
+    }
+    sanitized.bitRate = Math.round(bitRate * 10) / 10;
+  }
+  return sanitized;
+}
+
+function getCaptureSettings() {
+  const settings = { ...DEFAULT_CAPTURE_SETTINGS, ...(readPrefs()[CAPTURE_SETTINGS_KEY] || {}) };
+  return { ...settings, folder: settings.folder || app.getPath('pictures') };
+}
+
+function saveCaptureSettings(settings) {
+  const prefs = readPrefs();
+  prefs[CAPTURE_SETTINGS_KEY] = { ...DEFAULT_CAPTURE_SETTINGS, ...(prefs[CAPTURE_SETTINGS_KEY] || {}), ...sanitizeCaptureSettings(settings) };
+  writePrefs(prefs);
+  return getCaptureSettings();
+}
+
+async function chooseCaptureFolder() {
+  const owner = mainWindow && !mainWindow.isDestroyed() ? mainWindow : null;
+  const options = {
+    title: i18n.translate(getLanguage(), 'dialogs.captureFolder.title'),
+    defaultPath: getCaptureSettings().folder,
+    properties: ['openDirectory', 'createDirectory']
+  };
+  const { canceled, filePaths } = owner ? await dialog.showOpenDialog(owner, options) : await dialog.showOpenDialog(options);
+  return canceled || !filePaths.length ? null : saveCaptureSettings({ folder: filePaths[0] });
+}
+
+function captureTimestamp(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+async function readForegroundPackage(deviceId) {
+  try {
+    const match = (await adbClient.shell(deviceId, RESUMED_ACTIVITY_QUERY)).match(/\s([\w.]+)\/[\w.$]+/);
+    return match ? match[1] : null;
+  } catch (error) {
+    console.warn('No se pudo leer la app en primer plano:', error.message);
+    return null;
+  }
+}
+
+async function buildCapturePath(deviceId, extension) {
+  const { folder } = getCaptureSettings();
+  await fs.promises.mkdir(folder, { recursive: true });
+  const packageName = await readForegroundPackage(deviceId);
+  const name = sanitizeFileName(`${deviceId}_${packageName || 'unknown'}_${captureTimestamp()}${extension}`);
+  return { filePath: path.join(folder, name), packageName };
+}
+
+async function takeScreenshot(deviceId) {
+  const targetDevice = resolveDeviceId(deviceId);
+  if (!targetDevice) {
+    throw i18n.createError('NO_DEVICE');
+  }
+  const { filePath, packageName } = await buildCapturePath(targetDevice, '.png');
+  const image = await adbClient.execOut(targetDevice, 'screencap -p');
+  if (!image.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    throw i18n.createError('CAPTURE_FAILED', { details: image.toString('utf8', 0, Math.min(image.length, 200)).trim() });
+  }
+  await fs.promises.writeFile(filePath, image);
+  return { deviceId: targetDevice, package: packageName, path: filePath };
+}
+
+function listScreenRecordings() {
+  return Array.from(screenRecordings.values()).map(recording => ({
+    deviceId: recording.deviceId,
+    package: recording.package,
+    path: recording.localPath,
+    timeLimit: recording.timeLimit,
+    startedAt: recording.startedAt
+  }));
+}
+
+function emitScreenRecordings() {
+  emitToRenderer('screen-recordings-changed', listScreenRecordings());
+}
+
+async function readShellLine(connection) {
+  const bytes = [];
+  for (;;) {
+    const byte = (await connection.read(1))[0];
+    if (byte === 0x0a) return Buffer.from(bytes).toString('utf8');
+    bytes.push(byte);
+  }
+}
+
+async function finishScreenRecording(recording, output) {
+  const result = { deviceId: recording.deviceId, package: recording.package, path: recording.localPath, error: null };
+  try {
+    await adbClient.pull(recording.deviceId, recording.remotePath, recording.localPath);
+  } catch (error) {
+    console.warn(`No se pudo recuperar la grabación de ${recording.deviceId}:`, error.message);
+    await fs.promises.rm(recording.localPath, { force: true });
+    const details = output.trim() || i18n.errorDetails(error);
+    result.path = null;
+    result.error = i18n.encodeError(i18n.createError('RECORDING_FAILED', { details })).message;
+  }
+  await adbClient.shell(recording.deviceId, `rm -f ${adbClient.quoteShellArg(recording.remotePath)}`).catch(() => {});
+  screenRecordings.delete(recording.deviceId);
+  emitScreenRecordings();
+  emitToRenderer('screen-recording-finished', result);
+  return result;
+}
+
+async function startScreenRecording(deviceId) {
+  const targetDevice = resolveDeviceId(deviceId);
+  if (!targetDevice) {
+    throw i18n.createError('NO_DEVICE');
+  }
+  const existing = screenRecordings.get(targetDevice);
+  if (existing) {
+    return { deviceId: targetDevice, path: existing.localPath, alreadyRunning: true };
+  }
+
+  const settings = getCaptureSettings();
+  const { filePath, packageName } = await buildCapturePath(targetDevice, '.mp4');
+  const recording = {
+    deviceId: targetDevice,
+    package: packageName,
+    localPath: filePath,
+    remotePath: `${REMOTE_RECORDING_DIR}/${path.basename(filePath)}`,
+    timeLimit: settings.timeLimit,
+    startedAt: Date.now()
+  };
+  // La primera línea es el PID de screenrecord, para poder detener solo esta grabación
+  const command = `echo $$; exec screenrecord --time-limit ${settings.timeLimit} ` +
+    `--bit-rate ${Math.round(settings.bitRate * 1000000)} ${adbClient.quoteShellArg(recording.remotePath)}`;
+  screenRecordings.set(targetDevice, recording);
+  let connection = null;
+  try {
+    connection = await adbClient.openShell(targetDevice, command);
+    recording.pid = Number((await readShellLine(connection)).trim());
+    if (!Number.isInteger(recording.pid) || recording.pid <= 0) {
+      throw i18n.createError('RECORDING_FAILED', { details: String(recording.pid) });
+    }
+  } catch (error) {
+    if (connection) connection.close();
+    screenRecordings.delete(targetDevice);
+    throw error;
+  }
+  recording.finished = connection.readAll()
+    .then(output => output.toString('utf8'), error => error.message)
+    .then(output => {
+      connection.close();
+      return finishScreenRecording(recording, output);
+    });
+  emitScreenRecordings();
+  return { deviceId: targetDevice, package: packageName, path: filePath, timeLimit: settings.timeLimit };
+}
+
+// screenrecord solo cierra el mp4 correctamente si recibe SIGINT; al cortar la conexión el archivo queda inservible
+async function stopScreenRecording(deviceId) {
+  const targetDevice = resolveDeviceId(deviceId);
+  const recording = targetDevice ? screenRecordings.get(targetDevice) : null;
+  if (!recording) {
+    return { deviceId: targetDevice, stopped: false };
+  }
+  await adbClient.shell(targetDevice, `kill -INT ${recording.pid}`);
+  return { ...(await recording.finished), stopped: true };
+}
+
+async function stopAllScreenRecordings() {
+  const recordings = Array.from(screenRecordings.values());
+  recordings.forEach(recording => {
+    adbClient.shell(recording.deviceId, `kill -INT ${recording.pid}`).catch(() => {});
+  });
+  let timer = null;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, RECORDING_QUIT_TIMEOUT_MS);
+  });
+  await Promise.race([Promise.all(recordings.map(recording => recording.finished)), timeout]);
+  clearTimeout(timer);
+
+  const leftovers = recordings.filter(recording => screenRecordings.get(recording.deviceId) === recording);
+  leftovers.forEach(recording => screenRecordings.delete(recording.deviceId));
+  if (leftovers.length) {
+    const language = getLanguage();
+    await dialog.showMessageBox({
+      type: 'warning',
+      message: i18n.translate(language, 'dialogs.recordingLeftOnDevice.message'),
+      detail: i18n.translate(language, 'dialogs.recordingLeftOnDevice.detail', {
+        files: leftovers.map(recording => `${recording.deviceId}: ${recording.remotePath}`).join('\n')
+      })
+    });
+  }
+}
+
+function isSafeObbPath(relativePath) {
+  if (typeof relativePath !== 'string' || !relativePath.startsWith('Android/obb/')) return false;
+  return !relativePath.includes('\\') && !relativePath.split('/').some(segment => segment === '..' || segment === '.');
+}
+
+async function readDeviceAbis(deviceId) {
+  const output = await adbClient.shell(deviceId, 'getprop ro.product.cpu.abilist; getprop ro.product.cpu.abi');
+  return output
+    .split(/[\r\n,]+/)
+    .map(abi => abi.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function filterSplitsForAbis(files, abis) {
+  if (!abis.length) return files;
+  const normalizeAbi = abi => abi.toLowerCase().replace(/_/g, '-').replace('x86-64', 'x86_64');
+  const supported = files.filter(file => {
+    const match = path.basename(file).match(ABI_SPLIT_PATTERN);
+    return !match || abis.includes(normalizeAbi(match[1]));
+  });
+  const hasAbiSplit = supported.some(file => ABI_SPLIT_PATTERN.test(path.basename(file)));
+  const hadAbiSplit = files.some(file => ABI_SPLIT_PATTERN.test(path.basename(file)));
+  return hadAbiSplit && !hasAbiSplit ? files : supported;
+}
+
+async function readBundleObbs(zip, names) {
+  const obbs = [];
+  const manifest = names.includes('manifest.json') ? await zip.readEntry('manifest.json') : null;
+  if (manifest) {
+    try {
+      const expansions = JSON.parse(manifest.toString('utf8')).expansions;
+      (Array.isArray(expansions) ? expansions : []).forEach(expansion => {
+        if (!expansion || !names.includes(expansion.file)) return;
+        const installPath = expansion.install_path || expansion.file;
+        if (!isSafeObbPath(installPath)) {
+          console.warn('Ruta OBB no permitida en manifest.json:', installPath);
+          return;
+        }
+        obbs.push({ entry: expansion.file, remote: `/sdcard/${installPath}` });
+      });
+    } catch (error) {
+      console.warn('No se pudo leer manifest.json del paquete:', error.message);
+    }
+  }
+  if (!obbs.length) {
+    names
+      .filter(name => /^Android\/obb\/.+\.obb$/i.test(name) && isSafeObbPath(name))
+      .forEach(name => obbs.push({ entry: name, remote: `/sdcard/${name}` }));
+  }
+  return obbs;
+}
+
+async function extractBundle(filePath, workDir) {
+  const source = await openFileSource(filePath);
+  try {
+    const zip = await openZip(source);
+    const names = Array.from(zip.entries.keys());
+    const splits = names.filter(name => /^splits\/[^/]+\.apk$/i.test(name));
+    const apkEntries = splits.length ? splits : names.filter(name => /^[^/]+\.apk$/i.test(name));
+    if (!apkEntries.length) {
+      throw i18n.createError('INSTALL_BUNDLE_EMPTY', { file: path.basename(filePath) });
+    }
+
+    const apks = [];
+    for (const [index, name] of apkEntries.entries()) {
+      const destination = path.join(workDir, `${index}-${path.basename(name)}`);
+      await zip.extractEntry(name, destination);
+      apks.push(destination);
+    }
+
+    const obbs = [];
+    for (const [index, obb] of (await readBundleObbs(zip, names)).entries()) {
+      const destination = path.join(workDir, `obb-${index}-${path.basename(obb.entry)}`);
+      await zip.extractEntry(obb.entry, destination);
+      obbs.push({ local: destination, remote: obb.remote });
+    }
+    return { apks, obbs };
+  } catch (error) {
+    throw error.code === 'INSTALL_BUNDLE_EMPTY'
+      ? error
+      : i18n.createError('INSTALL_BUNDLE_INVALID', { file: path.basename(filePath), details: i18n.errorDetails(error) });
+  } finally {
+    await source.close();
+  }
+}
+
+function parseInstallFailure(text) {
+  const value = typeof text === 'string' ? text : '';
+  const match = value.match(/Failure \[([A-Z_]+)(?::\s*([^\]]*))?\]/) || value.match(/\b(INSTALL_[A-Z_]+)\b(?::\s*(.*))?/);
+  return match ? { reason: match[1], details: (match[2] || '').trim() } : null;
+}
+
+function installFailureError(file, failure) {
+  return i18n.isKnownError(failure.reason)
+    ? i18n.createError(failure.reason, { file, details: failure.details })
+    : i18n.createError('INSTALL_FAILED', { file, reason: failure.reason, details: failure.details });
+}
+
+async function installApks(deviceId, file, apks) {
+  const command = apks.length > 1 ? 'install-multiple' : 'install';
+  let output = '';
+  try {
+    output = await runAdb([command, '-r', '-t', ...apks], deviceId);
+  } catch (error) {
+    const failure = parseInstallFailure(error.params ? error.params.details : error.message);
+    throw failure ? installFailureError(file, failure) : error;
+  }
+  if (!/^Success/m.test(output)) {
+    const failure = parseInstallFailure(output) || { reason: 'UNKNOWN', details: output.trim() };
+    throw installFailureError(file, failure);
+  }
+}
+
+async function readApkPackageName(filePath) {
+  const source = await openFileSource(filePath);
+  try {
+    return (await readApkManifest(source)).packageName;
+  } catch (error) {
+    console.warn(`No se pudo leer el manifiesto de ${filePath}:`, error.message);
+    return null;
+  } finally {
+    await source.close();
+  }
+}
+
+async function planInstallJobs(paths) {
+  const jobs = [];
+  const apkGroups = new Map();
+  for (const filePath of paths) {
+    const extension = path.extname(filePath).toLowerCase();
+    if (BUNDLE_EXTENSIONS.includes(extension)) {
+      jobs.push({ file: path.basename(filePath), bundle: filePath });
+    } else if (extension === APK_EXTENSION) {
+      const packageName = await readApkPackageName(filePath);
+      const key = packageName || filePath;
+      if (!apkGroups.has(key)) {
+        const job = { file: path.basename(filePath), package: packageName, apks: [] };
+        apkGroups.set(key, job);
+        jobs.push(job);
+      }
+      apkGroups.get(key).apks.push(filePath);
+    } else {
+      jobs.push({ file: path.basename(filePath), unsupported: true });
+    }
+  }
+  return jobs;
+}
+
+async function installPackages(paths, deviceId) {
+  const targetDevice = resolveDeviceId(deviceId);
+  if (!targetDevice) {
+    throw i18n.createError('NO_DEVICE');
+  }
+  const files = (Array.isArray(paths) ? paths : [])
+    .filter(filePath => typeof filePath === 'string' && filePath.trim())
+    .map(filePath => path.resolve(filePath));
+  if (!files.length) {
+    throw i18n.createError('INSTALL_NO_FILES');
+  }
+
+  const jobs = await planInstallJobs(files);
+  const results = [];
+  let abis = null;
+
+  for (const [index, job] of jobs.entries()) {
+    const progress = stage => emitToRenderer('install-progress', { file: job.file, index, total: jobs.length, stage });
+    const workDir = job.bundle ? await fs.promises.mkdtemp(path.join(os.tmpdir(), 'adb-install-')) : null;
+    try {
+      if (job.unsupported) {
+        throw i18n.createError('INSTALL_UNSUPPORTED_FILE', { file: job.file });
+      }
+
+      let apks = job.apks;
+      let obbs = [];
+      if (job.bundle) {
+        progress('extracting');
+        ({ apks, obbs } = await extractBundle(job.bundle, workDir));
+      }
+      if (apks.length > 1) {
+        abis = abis || await readDeviceAbis(targetDevice).catch(() => []);
+        apks = filterSplitsForAbis(apks, abis);
+      }
+
+      progress('installing');
+      await installApks(targetDevice, job.file, apks);
+
+      if (obbs.length) {
+        progress('pushing-obb');
+        for (const obb of obbs) {
+          await runAdb(['push', obb.local, obb.remote], targetDevice);
+        }
+      }
+
+      progress('done');
+      results.push({ file: job.file, success: true });
+    } catch (error) {
+      progress('failed');
+      console.warn(`No se pudo instalar ${job.file}:`, error.message);
+      results.push({ file: job.file, success: false, error: i18n.encodeError(error).message });
+    } finally {
+      if (workDir) {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  return { deviceId: targetDevice, results };
+}
+
+function handle(channel, listener) {
+  ipcMain.handle(channel, async (...args) => {
+    try {
+      return await listener(...args);
+    } catch (error) {
+      throw i18n.encodeError(error);
+    }
+  });
+}
+
+function getLanguage() {
+  return i18n.resolveLanguage(readPrefs()[LANGUAGE_KEY], app.getLocale());
+}
+
+function setLanguage(language) {
+  const normalized = i18n.normalizeLanguage(language);
+  if (!normalized) {
+    throw i18n.createError('INVALID_LANGUAGE', { language });
+  }
+  const prefs = readPrefs();
+  prefs[LANGUAGE_KEY] = normalized;
+  writePrefs(prefs);
+  return normalized;
+}
+
+handle('close', () => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.close();
+  }
+});
+
+handle('minimize', () => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.minimize();
+  }
+});
+
+handle('connect', async () => {
+  const { devices } = await fetchAdbDevices();
+
+  if (devices.length === 0) {
+    setCurrentDevice('');
+    throw i18n.createError('NO_DEVICES_FOUND');
+  }
+
+  const readyDevices = devices.filter(device => device.state === 'device');
+  if (!readyDevices.length) {
+    setCurrentDevice('');
+    throw devices.length === 1
+      ? deviceStateError(devices[0])
+      : i18n.createError('NO_DEVICE_READY');
+  }
+
+  const device = readyDevices.find(candidate => candidate.id === currentDevice) ||
+    (readyDevices.length === 1 ? readyDevices[0] : null);
+  if (!device) {
+    setCurrentDevice('');
+    return { success: false, devices, device: null };
+  }
+
+  setCurrentDevice(device.id);
+  return { success: true, devices, device };
+});
+
+handle('set-current-device', async (_event, deviceId) => {
+  const target = normalizeDeviceId(deviceId);
+  if (!target) {
+    setCurrentDevice('');
+    return { success: true, device: null };
+  }
+
+  const { devices } = await fetchAdbDevices();
+  const device = devices.find(candidate => candidate.id === target);
+  if (!device) {
+    throw i18n.createError('DEVICE_GONE', { device: target });
+  }
+  if (device.state !== 'device') {
+    throw deviceStateError(device);
+  }
+
+  setCurrentDevice(device.id);
+  return { success: true, devices, device };
+});
+
+handle('force-stop-app', async (_event, pkg, deviceId) => {
+  return forceStopApplication(pkg, deviceId);
+});
+
+handle('clear-app-data', async (_event, pkg, deviceId) => {
+  return clearApplicationData(pkg, deviceId);
+});
+
+handle('uninstall-app', async (_event, pkg, deviceId) => {
+  return uninstallApplication(pkg, deviceId);
+});
+
+handle('disable-app', async (_event, pkg, deviceId) => {
+  return disableApplication(pkg, deviceId);
+});
+
+handle('enable-app', async (_event, pkg, deviceId) => {
+  return enableApplication(pkg, deviceId);
+});
+
+handle('open-app-info', async (_event, pkg, deviceId) => {
+  return openApplicationInfo(pkg, deviceId);
+});
+
+handle('get-package-details', async (_event, pkg, deviceId) => {
+  return getPackageDetails(pkg, deviceId);
+});
+
+handle('get-permissions', async (_event, pkg, deviceId) => {
+  return getPermissionState(pkg, deviceId);
+});
+
+handle('set-permission', async (_event, pkg, deviceId, permission, granted) => {
+  return setRuntimePermission(pkg, deviceId, permission, Boolean(granted));
+});
+
+handle('reset-permissions', async (_event, pkg, deviceId) => {
+  return resetRuntimePermissions(pkg, deviceId);
+});
+
+handle('set-appop', async (_event, pkg, deviceId, op, mode, scope) => {
+  return setAppOpMode(pkg, deviceId, op, mode, scope);
+});
+
+handle('export-app', async (_event, pkg, deviceId, format) => {
+  return exportApplication(pkg, deviceId, format === 'bundle' ? 'bundle' : 'folder');
+});
+
+handle('copy-text', (_event, text) => {
+  clipboard.writeText(typeof text === 'string' ? text : '');
+  return true;
+});
+
+handle('install-packages', async (_event, paths, deviceId) => {
+  return installPackages(paths, deviceId);
+});
+
+handle('mirror-screen', async (_event, deviceId) => {
+  return mirrorScreen(deviceId);
+});
+
+handle('stop-mirror', (_event, id) => {
+  return stopScrcpySession(id);
+});
+
+handle('get-scrcpy-sessions', () => {
+  return listScrcpySessions();
+});
+
+handle('launch-virtual-display', async (_event, pkg, deviceId) => {
+  return launchInVirtualDisplay(pkg, deviceId);
+});
+
+handle('get-preferences', (_event, pkg) => {
+  return getAppProfile(pkg);
+});
+
+handle('save-preferences', (_event, pkg, profile, options) => {
+  return saveAppProfile(pkg, profile, options && typeof options === 'object' ? options : {});
+});
+
+handle('reset-preferences', (_event, pkg) => {
+  return resetAppProfile(pkg);
+});
+
+handle('get-scrcpy-settings', () => {
+  return getScrcpySettings();
+});
+
+handle('set-scrcpy-settings', (_event, settings) => {
+  return saveScrcpySettings(settings && typeof settings === 'object' ? settings : {});
+});
+
+handle('get-scrcpy-install', () => {
+  return getInstalledScrcpy();
+});
+
+handle('install-scrcpy-local', async (_event, kind) => {
+  return installScrcpyFromLocal(kind === 'directory' ? 'directory' : 'archive');
+});
+
+handle('take-screenshot', async (_event, deviceId) => {
+  return takeScreenshot(deviceId);
+});
+
+handle('start-recording', async (_event, deviceId) => {
+  return startScreenRecording(deviceId);
+});
+
+handle('stop-recording', async (_event, deviceId) => {
+  return stopScreenRecording(deviceId);
+});
+
+handle('get-recordings', () => {
+  return listScreenRecordings();
+});
+
+handle('get-capture-settings', () => {
+  return getCaptureSettings();
+});
+
+handle('set-capture-settings', (_event, settings) => {
+  return saveCaptureSettings(settings && typeof settings === 'object' ? settings : {});
+});
+
+handle('choose-capture-folder', async () => {
+  return chooseCaptureFolder();
+});
+
+handle('pair-wifi', async (_event, host, port, code) => {
+  return pairWifiDevice(host, port, code);
+});
+
+handle('connect-wifi', async (_event, host, port) => {
+  return connectWifiDevice(host, port);
+});
+
+handle('disconnect-device', async (_event, deviceId) => {
+  return disconnectWifiDevice(deviceId);
+});
+
+handle('enable-tcpip', async (_event, deviceId, port) => {
+  return enableTcpip(deviceId, port);
+});
+
+handle('get-wifi-endpoints', () => {
+  return getWifiEndpoints();
+});
+
+handle('forget-wifi-endpoint', (_event, host, port) => {
+  return forgetWifiEndpoint(host, port);
+});
+
+handle('get-language', () => {
+  return { language: getLanguage(), languages: i18n.listLanguages() };
+});
+
+handle('set-language', (_event, language) => {
+  return { language: setLanguage(language), languages: i18n.listLanguages() };
+});
+
+handle('prioritize-labels', (_event, packages) => {
+  prioritizeAppLabels(Array.isArray(packages) ? packages : []);
+  return true;
+});
+
+handle('get-label-concurrency', () => {
+  return getLabelConcurrency();
+});
+
+handle('set-label-concurrency', (_event, value) => {
+  return setLabelConcurrency(value);
+});
+
+handle('get-label-locales', async (_event, deviceId) => {
+  return {
+    configured: getConfiguredLabelLocales(),
+    effective: await resolveLabelLocales(resolveDeviceId(deviceId))
+  };
+});
+
+handle('set-label-locales', async (_event, locales, deviceId) => {
+  return {
+    configured: setConfiguredLabelLocales(locales),
+    effective: await resolveLabelLocales(resolveDeviceId(deviceId))
+  };
+});
+
+handle('clear-label-cache', (_event, deviceId) => {
+  return clearAppLabelCache(deviceId);
+});
+
+handle('list-packages', async (_event, deviceId, options) => {
+  return listPackages(deviceId, options || {});
+});
+
+handle('launch-app', async (_event, pkg, deviceId, options) => {
+  return launchApplication(pkg, deviceId, options && typeof options === 'object' ? options : {});
+});
+
+adbClient.configure({
+  startServer: () => run(`${adb} start-server`)
+});
 
 app.whenReady().then(() => {
   PREF_PATH = path.join(app.getPath('userData'), 'preferences.json');
+  ICON_DIR = path.join(app.getPath('userData'), ICON_DIR_NAME);
   createWindow();
 
   app.on('activate', () => {
@@ -396,6 +2839,19 @@ app.whenReady().then(() => {
   });
 });
 
+app.on('before-quit', event => {
+  // Se espera a copiar las grabaciones en curso antes de salir
+  if (screenRecordings.size) {
+    event.preventDefault();
+    stopAllScreenRecordings()
+      .catch(error => console.warn('No se pudieron cerrar las grabaciones:', error.message))
+      .then(() => app.quit());
+    return;
+  }
+  stopDeviceTracker();
+  stopAllScrcpySessions();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -1,21 +1,140 @@
 const { contextBridge, ipcRenderer } = require('electron');
+const i18n = require('./i18n');
+
+contextBridge.exposeInMainWorld('i18n', {
+  translate: (language, key, params) => i18n.translate(language, key, params),
+  describeError: (message, language) => i18n.describeError(message, language)
+});
 
 contextBridge.exposeInMainWorld('launcher', {
   close: () => ipcRenderer.invoke('close'),
   minimize: () => ipcRenderer.invoke('minimize'),
   connect: () => ipcRenderer.invoke('connect'),
-  listPackages: () => ipcRenderer.invoke('list-packages'),
-  launchApp: (pkg) => ipcRenderer.invoke('launch-app', pkg),
+  getLanguage: () => ipcRenderer.invoke('get-language'),
+  setLanguage: (language) => ipcRenderer.invoke('set-language', language),
+  setCurrentDevice: (deviceId) => ipcRenderer.invoke('set-current-device', deviceId),
+  listPackages: (deviceId, options) => ipcRenderer.invoke('list-packages', deviceId, options),
+  prioritizeLabels: (packages) => ipcRenderer.invoke('prioritize-labels', packages),
+  getLabelLocales: (deviceId) => ipcRenderer.invoke('get-label-locales', deviceId),
+  setLabelLocales: (locales, deviceId) => ipcRenderer.invoke('set-label-locales', locales, deviceId),
+  clearLabelCache: (deviceId) => ipcRenderer.invoke('clear-label-cache', deviceId),
+  getLabelConcurrency: () => ipcRenderer.invoke('get-label-concurrency'),
+  setLabelConcurrency: (value) => ipcRenderer.invoke('set-label-concurrency', value),
+  launchApp: (pkg, deviceId, options) => ipcRenderer.invoke('launch-app', pkg, deviceId, options),
+  forceStopApp: (pkg, deviceId) => ipcRenderer.invoke('force-stop-app', pkg, deviceId),
+  clearAppData: (pkg, deviceId) => ipcRenderer.invoke('clear-app-data', pkg, deviceId),
+  uninstallApp: (pkg, deviceId) => ipcRenderer.invoke('uninstall-app', pkg, deviceId),
+  disableApp: (pkg, deviceId) => ipcRenderer.invoke('disable-app', pkg, deviceId),
+  enableApp: (pkg, deviceId) => ipcRenderer.invoke('enable-app', pkg, deviceId),
+  openAppInfo: (pkg, deviceId) => ipcRenderer.invoke('open-app-info', pkg, deviceId),
+  getPackageDetails: (pkg, deviceId) => ipcRenderer.invoke('get-package-details', pkg, deviceId),
+  getPermissions: (pkg, deviceId) => ipcRenderer.invoke('get-permissions', pkg, deviceId),
+  setPermission: (pkg, deviceId, permission, granted) => ipcRenderer.invoke('set-permission', pkg, deviceId, permission, granted),
+  resetPermissions: (pkg, deviceId) => ipcRenderer.invoke('reset-permissions', pkg, deviceId),
+  setAppOp: (pkg, deviceId, op, mode, scope) => ipcRenderer.invoke('set-appop', pkg, deviceId, op, mode, scope),
+  exportApp: (pkg, deviceId, format) => ipcRenderer.invoke('export-app', pkg, deviceId, format),
+  copyText: (text) => ipcRenderer.invoke('copy-text', text),
+  installPackages: (paths, deviceId) => ipcRenderer.invoke('install-packages', paths, deviceId),
+  mirrorScreen: (deviceId) => ipcRenderer.invoke('mirror-screen', deviceId),
+  stopMirror: (id) => ipcRenderer.invoke('stop-mirror', id),
+  getScrcpySessions: () => ipcRenderer.invoke('get-scrcpy-sessions'),
+  launchVirtualDisplay: (pkg, deviceId) => ipcRenderer.invoke('launch-virtual-display', pkg, deviceId),
+  getAppProfile: (pkg) => ipcRenderer.invoke('get-preferences', pkg),
+  saveAppProfile: (pkg, profile, options) => ipcRenderer.invoke('save-preferences', pkg, profile, options),
+  resetAppProfile: (pkg) => ipcRenderer.invoke('reset-preferences', pkg),
+  getScrcpySettings: () => ipcRenderer.invoke('get-scrcpy-settings'),
+  setScrcpySettings: (settings) => ipcRenderer.invoke('set-scrcpy-settings', settings),
+  getScrcpyInstall: () => ipcRenderer.invoke('get-scrcpy-install'),
+  installScrcpyLocal: (kind) => ipcRenderer.invoke('install-scrcpy-local', kind),
+  takeScreenshot: (deviceId) => ipcRenderer.invoke('take-screenshot', deviceId),
+  startRecording: (deviceId) => ipcRenderer.invoke('start-recording', deviceId),
+  stopRecording: (deviceId) => ipcRenderer.invoke('stop-recording', deviceId),
+  getRecordings: () => ipcRenderer.invoke('get-recordings'),
+  getCaptureSettings: () => ipcRenderer.invoke('get-capture-settings'),
+  setCaptureSettings: (settings) => ipcRenderer.invoke('set-capture-settings', settings),
+  chooseCaptureFolder: () => ipcRenderer.invoke('choose-capture-folder'),
+  pairWifi: (host, port, code) => ipcRenderer.invoke('pair-wifi', host, port, code),
+  connectWifi: (host, port) => ipcRenderer.invoke('connect-wifi', host, port),
+  disconnectDevice: (deviceId) => ipcRenderer.invoke('disconnect-device', deviceId),
+  enableTcpip: (deviceId, port) => ipcRenderer.invoke('enable-tcpip', deviceId, port),
+  getWifiEndpoints: () => ipcRenderer.invoke('get-wifi-endpoints'),
+  forgetWifiEndpoint: (host, port) => ipcRenderer.invoke('forget-wifi-endpoint', host, port),
   onPackageLabelUpdated: (callback) => {
     if (typeof callback !== 'function') return () => {};
     const subscription = (_event, payload) => callback(payload);
     ipcRenderer.on('package-label-updated', subscription);
     return () => ipcRenderer.removeListener('package-label-updated', subscription);
   },
+  onPackageIconUpdated: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, payload) => callback(payload);
+    ipcRenderer.on('package-icon-updated', subscription);
+    return () => ipcRenderer.removeListener('package-icon-updated', subscription);
+  },
   onPackageLabelStarted: (callback) => {
     if (typeof callback !== 'function') return () => {};
     const subscription = (_event, pkg) => callback(pkg);
     ipcRenderer.on('package-label-started', subscription);
     return () => ipcRenderer.removeListener('package-label-started', subscription);
+  },
+  onPackageLabelProgress: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, progress) => callback(progress);
+    ipcRenderer.on('package-label-progress', subscription);
+    return () => ipcRenderer.removeListener('package-label-progress', subscription);
+  },
+  onExportProgress: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, progress) => callback(progress);
+    ipcRenderer.on('export-progress', subscription);
+    return () => ipcRenderer.removeListener('export-progress', subscription);
+  },
+  onScrcpySessionsChanged: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, sessions) => callback(sessions);
+    ipcRenderer.on('scrcpy-sessions-changed', subscription);
+    return () => ipcRenderer.removeListener('scrcpy-sessions-changed', subscription);
+  },
+  onScrcpyInstallProgress: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, progress) => callback(progress);
+    ipcRenderer.on('scrcpy-install-progress', subscription);
+    return () => ipcRenderer.removeListener('scrcpy-install-progress', subscription);
+  },
+  onScreenRecordingsChanged: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, recordings) => callback(recordings);
+    ipcRenderer.on('screen-recordings-changed', subscription);
+    return () => ipcRenderer.removeListener('screen-recordings-changed', subscription);
+  },
+  onScreenRecordingFinished: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, result) => callback(result);
+    ipcRenderer.on('screen-recording-finished', subscription);
+    return () => ipcRenderer.removeListener('screen-recording-finished', subscription);
+  },
+  onInstallProgress: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, progress) => callback(progress);
+    ipcRenderer.on('install-progress', subscription);
+    return () => ipcRenderer.removeListener('install-progress', subscription);
+  },
+  onDeviceAdded: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, device) => callback(device);
+    ipcRenderer.on('device-added', subscription);
+    return () => ipcRenderer.removeListener('device-added', subscription);
+  },
+  onDeviceRemoved: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, device) => callback(device);
+    ipcRenderer.on('device-removed', subscription);
+    return () => ipcRenderer.removeListener('device-removed', subscription);
+  },
+  onDeviceStateChanged: (callback) => {
+    if (typeof callback !== 'function') return () => {};
+    const subscription = (_event, device) => callback(device);
+    ipcRenderer.on('device-state-changed', subscription);
+    return () => ipcRenderer.removeListener('device-state-changed', subscription);
   }
 });
@@ -0,0 +1,242 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const adbClient = require('../adbClient');
+
+const SERIAL = 'emulator-5554';
+
+function createReader(socket) {
+  let buffer = Buffer.alloc(0);
+  let pending = null;
+  const flush = () => {
+    if (pending && buffer.length >= pending.length) {
+      const { length, resolve } = pending;
+      pending = null;
+      const data = buffer.subarray(0, length);
+      buffer = buffer.subarray(length);
+      resolve(data);
+    }
+  };
+  socket.on('data', chunk => {
+    buffer = Buffer.concat([buffer, chunk]);
+    flush();
+  });
+  return length => new Promise(resolve => {
+    pending = { length, resolve };
+    flush();
+  });
+}
+
+function lengthPrefixed(text) {
+  const body = Buffer.from(text, 'utf8');
+  return Buffer.concat([Buffer.from(body.length.toString(16).padStart(4, '0'), 'ascii'), body]);
+}
+
+function syncPacket(id, length, payload = Buffer.alloc(0)) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 4, 'ascii');
+  header.writeUInt32LE(length, 4);
+  return Buffer.concat([header, payload]);
+}
+
+// Servidor ADB falso: cada conexión entrante se atiende con el guion de la prueba en curso
+function startFakeServer(t, script) {
+  const requests = [];
+  const server = net.createServer(socket => {
+    const read = createReader(socket);
+    const readRequest = async () => {
+      const length = Number.parseInt((await read(4)).toString('ascii'), 16);
+      const request = (await read(length)).toString('utf8');
+      requests.push(request);
+      return request;
+    };
+    const readSync = async () => {
+      const header = await read(8);
+      const length = header.readUInt32LE(4);
+      return { id: header.toString('ascii', 0, 4), payload: length ? (await read(length)).toString('utf8') : '' };
+    };
+    socket.on('error', () => {});
+    Promise.resolve(script({ socket, read, readRequest, readSync })).catch(() => socket.destroy());
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      adbClient.configure({ host: '127.0.0.1', port: server.address().port });
+      t.after(() => server.close());
+      resolve(requests);
+    });
+  });
+}
+
+async function acceptTransport({ socket, readRequest }) {
+  assert.strictEqual(await readRequest(), `host:transport:${SERIAL}`);
+  socket.write('OKAY');
+}
+
+test('host:devices-l devuelve la respuesta con prefijo de longitud', async t => {
+  const listing = `${SERIAL}          device product:sdk model:Pixel device:emu\n`;
+  const requests = await startFakeServer(t, async ({ socket, readRequest }) => {
+    await readRequest();
+    socket.write('OKAY');
+    socket.write(lengthPrefixed(listing));
+  });
+  assert.strictEqual(await adbClient.listDevices(), listing);
+  assert.deepStrictEqual(requests, ['host:devices-l']);
+});
+
+test('una respuesta FAIL se rechaza con ADB_REQUEST_REJECTED', async t => {
+  await startFakeServer(t, async ({ socket, readRequest }) => {
+    await readRequest();
+    socket.end(Buffer.concat([Buffer.from('FAIL'), lengthPrefixed('device offline')]));
+  });
+  await assert.rejects(adbClient.shell(SERIAL, 'true'), error => {
+    assert.strictEqual(error.code, 'ADB_REQUEST_REJECTED');
+    assert.strictEqual(error.params.details, 'device offline');
+    return true;
+  });
+});
+
+test('shell: lee la salida completa tras OKAY', async t => {
+  const requests = await startFakeServer(t, async connection => {
+    await acceptTransport(connection);
+    await connection.readRequest();
+    connection.socket.write('OKAY');
+    connection.socket.write('hola ');
+    connection.socket.end('mundo\n');
+  });
+  assert.strictEqual(await adbClient.shell(SERIAL, 'echo hola mundo'), 'hola mundo\n');
+  assert.deepStrictEqual(requests, [`host:transport:${SERIAL}`, 'shell:echo hola mundo']);
+});
+
+test('sync STAT devuelve modo, tamaño y fecha', async t => {
+  await startFakeServer(t, async connection => {
+    await acceptTransport(connection);
+    assert.strictEqual(await connection.readRequest(), 'sync:');
+    connection.socket.write('OKAY');
+    const request = await connection.readSync();
+    assert.deepStrictEqual(request, { id: 'STAT', payload: '/sdcard/a.txt' });
+    const response = Buffer.alloc(16);
+    response.write('STAT', 0, 4, 'ascii');
+    response.writeUInt32LE(0o100644, 4);
+    response.writeUInt32LE(42, 8);
+    response.writeUInt32LE(1700000000, 12);
+    connection.socket.write(response);
+  });
+  assert.deepStrictEqual(await adbClient.stat(SERIAL, '/sdcard/a.txt'), { mode: 0o100644, size: 42, mtime: 1700000000 });
+});
+
+test('sync RECV junta varios bloques DATA hasta DONE', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'adb-client-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  let quit = null;
+  await startFakeServer(t, async connection => {
+    await acceptTransport(connection);
+    await connection.readRequest();
+    connection.socket.write('OKAY');
+    assert.deepStrictEqual(await connection.readSync(), { id: 'RECV', payload: '/sdcard/base.apk' });
+    connection.socket.write(syncPacket('DATA', 5, Buffer.from('hola ')));
+    connection.socket.write(Buffer.concat([
+      syncPacket('DATA', 5, Buffer.from('mundo')),
+      syncPacket('DONE', 0)
+    ]));
+    quit = (await connection.readSync()).id;
+  });
+  const localPath = path.join(directory, 'base.apk');
+  await adbClient.pull(SERIAL, '/sdcard/base.apk', localPath);
+  assert.strictEqual(fs.readFileSync(localPath, 'utf8'), 'hola mundo');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.strictEqual(quit, 'QUIT');
+});
+
+test('sync RECV con FAIL se rechaza con ADB_PULL_FAILED', async t => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'adb-client-test-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const message = 'No such file or directory';
+  await startFakeServer(t, async connection => {
+    await acceptTransport(connection);
+    await connection.readRequest();
+    connection.socket.write('OKAY');
+    await connection.readSync();
+    connection.socket.write(syncPacket('FAIL', message.length, Buffer.from(message)));
+  });
+  await assert.rejects(adbClient.pull(SERIAL, '/sdcard/missing.apk', path.join(directory, 'missing.apk')), error => {
+    assert.strictEqual(error.code, 'ADB_PULL_FAILED');
+    assert.strictEqual(error.params.details, message);
+    return true;
+  });
+});
+
+test('abortar a mitad de la petición rechaza con OPERATION_CANCELLED', async t => {
+  let requested;
+  const received = new Promise(resolve => {
+    requested = resolve;
+  });
+  await startFakeServer(t, async connection => {
+    await acceptTransport(connection);
+    await connection.readRequest();
+    connection.socket.write('OKAY');
+    requested();
+  });
+  const controller = new AbortController();
+  const pending = adbClient.shell(SERIAL, 'sleep 60', { signal: controller.signal });
+  await received;
+  controller.abort();
+  await assert.rejects(pending, error => error.code === 'OPERATION_CANCELLED');
+});
+
+test('readRange informa ADB_PARTIAL_READ si la lectura se queda corta', async t => {
+  const requests = await startFakeServer(t, async connection => {
+    await acceptTransport(connection);
+    await connection.readRequest();
+    connection.socket.write('OKAY');
+    connection.socket.end(Buffer.from('abc'));
+  });
+  await assert.rejects(adbClient.readRange(SERIAL, '/data/app/base.apk', 100, 10), error => {
+    assert.strictEqual(error.code, 'ADB_PARTIAL_READ');
+    assert.deepStrictEqual(error.params, { path: '/data/app/base.apk', received: 3, expected: 10 });
+    return true;
+  });
+  assert.strictEqual(requests[1], "exec:tail -c +101 '/data/app/base.apk' | head -c 10");
+});
+
+test('openShell deja leer la salida mientras el comando sigue en marcha', async t => {
+  let finish;
+  const finished = new Promise(resolve => {
+    finish = resolve;
+  });
+  const requests = await startFakeServer(t, async connection => {
+    await acceptTransport(connection);
+    await connection.readRequest();
+    connection.socket.write('OKAY');
+    connection.socket.write('4242\n');
+    await finished;
+    connection.socket.end('fin\n');
+  });
+  const shell = await adbClient.openShell(SERIAL, 'echo $$; exec screenrecord /sdcard/a.mp4');
+  assert.strictEqual((await shell.read(5)).toString('utf8'), '4242\n');
+  finish();
+  assert.strictEqual((await shell.readAll()).toString('utf8'), 'fin\n');
+  shell.close();
+  assert.strictEqual(requests[1], 'shell:echo $$; exec screenrecord /sdcard/a.mp4');
+});
+
+test('si adb no arranca, no se vuelve a lanzar en cada intento', async () => {
+  const closed = net.createServer();
+  await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise(resolve => closed.close(resolve));
+
+  let starts = 0;
+  adbClient.configure({
+    port,
+    startServer: async () => {
+      starts += 1;
+      throw new Error('adb no encontrado');
+    }
+  });
+  await assert.rejects(adbClient.listDevices(), /adb no encontrado/);
+  await assert.rejects(adbClient.listDevices(), /adb no encontrado/);
+  assert.strictEqual(starts, 1);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWindowTracker } = require('../windowTracker');
+
+const TOLERANCE_MS = 40;
+
+function createFakeSource() {
+  const source = {
+    name: 'fake',
+    started: 0,
+    stopped: 0,
+    emit: null,
+    fail: null,
+    start(emit, fail) {
+      source.started += 1;
+      source.emit = emit;
+      source.fail = fail;
+    },
+    stop() {
+      source.stopped += 1;
+    }
+  };
+  return source;
+}
+
+function setup() {
+  const source = createFakeSource();
+  const tracker = createWindowTracker({ source, absenceToleranceMs: TOLERANCE_MS });
+  const changes = [];
+  tracker.register(1, 'Demo  scrcpy', visible => changes.push(visible));
+  return { source, tracker, changes };
+}
+
+test('el primer título emitido marca la ventana como visible', () => {
+  const { source, tracker, changes } = setup();
+  assert.strictEqual(source.started, 1);
+  source.emit(['Otra ventana']);
+  assert.deepStrictEqual(changes, []);
+  source.emit(['Demo scrcpy']);
+  assert.deepStrictEqual(changes, [true]);
+  tracker.unregister(1);
+});
+
+test('una ausencia mayor que la tolerancia la marca como no visible', t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { source, tracker, changes } = setup();
+  source.emit(['Demo scrcpy']);
+  source.emit([]);
+  t.mock.timers.tick(TOLERANCE_MS - 1);
+  assert.deepStrictEqual(changes, [true]);
+  t.mock.timers.tick(1);
+  assert.deepStrictEqual(changes, [true, false]);
+  tracker.unregister(1);
+});
+
+test('reaparecer dentro de la tolerancia cancela el ocultado pendiente', t => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const { source, tracker, changes } = setup();
+  source.emit(['Demo scrcpy']);
+  source.emit([]);
+  t.mock.timers.tick(TOLERANCE_MS - 1);
+  source.emit(['Demo scrcpy']);
+  t.mock.timers.tick(TOLERANCE_MS * 3);
+  assert.deepStrictEqual(changes, [true]);
+  tracker.unregister(1);
+});
+
+test('si la fuente falla, las ventanas se dan por visibles', t => {
+  t.mock.method(console, 'warn', () => {});
+  const { source, tracker, changes } = setup();
+  source.fail(new Error('sin servidor gráfico'));
+  assert.deepStrictEqual(changes, [true]);
+  tracker.unregister(1);
+  assert.strictEqual(source.stopped, 0);
+});
+
+test('quitar el último registro detiene la fuente', () => {
+  const { source, tracker } = setup();
+  tracker.register(2, 'Otra scrcpy', () => {});
+  tracker.unregister(1);
+  assert.strictEqual(source.stopped, 0);
+  tracker.unregister(2);
+  assert.strictEqual(source.stopped, 1);
+});
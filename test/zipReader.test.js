@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const i18n = require('../i18n');
+const { openZip } = require('../zipReader');
+
+function bufferSource(buffer) {
+  return {
+    size: buffer.length,
+    read: async (offset, length) => buffer.subarray(offset, offset + length),
+    close: async () => {}
+  };
+}
+
+test('un archivo que no es ZIP se rechaza con un código traducible', async () => {
+  await assert.rejects(openZip(bufferSource(Buffer.from('no es un zip'))), error => error.code === 'ZIP_INVALID');
+  await assert.rejects(openZip(bufferSource(Buffer.alloc(64))), error => error.code === 'ZIP_CENTRAL_DIRECTORY_MISSING');
+});
+
+test('el detalle anidado de un error se traduce en el idioma pedido', () => {
+  const cause = i18n.createError('ZIP_CENTRAL_DIRECTORY_MISSING');
+  const error = i18n.createError('INSTALL_BUNDLE_INVALID', { file: 'juego.xapk', details: i18n.errorDetails(cause) });
+  const message = i18n.encodeError(error).message;
+  assert.strictEqual(
+    i18n.describeError(message, 'en'),
+    'juego.xapk is not a valid install bundle. The ZIP central directory was not found.'
+  );
+});
@@ -0,0 +1,252 @@
+const { exec, spawn } = require('child_process');
+
+const ABSENCE_TOLERANCE_MS = 10_000;
+const HELPER_INTERVAL_MS = 500;
+const TITLE_REFRESH_DELAY_MS = 1000;
+const COMMAND_TIMEOUT_MS = 5000;
+const PROCESS_NAME = 'scrcpy';
+
+function normalizeTitle(title) {
+  if (typeof title !== 'string') return '';
+  return title.trim().replace(/\s+/g, ' ');
+}
+
+function runCommand(command) {
+  return new Promise((resolve, reject) => {
+    exec(command, { windowsHide: true, timeout: COMMAND_TIMEOUT_MS }, (error, stdout) => {
+      if (error) {
+        reject(error);
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+function parseJsonTitles(raw) {
+  const trimmed = raw ? raw.trim() : '';
+  if (!trimmed) return [];
+  const parsed = JSON.parse(trimmed);
+  const titles = Array.isArray(parsed) ? parsed : [parsed];
+  return titles.filter(title => typeof title === 'string');
+}
+
+function parseXpropTitles(raw) {
+  return raw
+    .split(/\r?\n/)
+    .map(line => line.match(/^_NET_WM_NAME\(\w+\) = "(.*)"$/))
+    .filter(Boolean)
+    .map(match => match[1].replace(/\\(.)/g, '$1'));
+}
+
+// Lanza un proceso auxiliar de larga duración y convierte cada línea de su salida en una lista de títulos
+function createHelperSource(name, command, args, options = {}) {
+  let run = null;
+  return {
+    name,
+    start(emit, fail) {
+      const current = { stopped: false, child: null };
+      run = current;
+      const emitTitles = titles => {
+        if (!current.stopped && titles) emit(titles);
+      };
+      const stopWith = error => {
+        if (current.stopped) return;
+        current.stopped = true;
+        fail(error);
+      };
+
+      let buffer = '';
+      current.child = spawn(command, args, { windowsHide: true, stdio: ['ignore', 'pipe', 'pipe'] });
+      const stream = options.stream === 'stderr' ? current.child.stderr : current.child.stdout;
+      stream.setEncoding('utf8');
+      stream.on('data', chunk => {
+        buffer += chunk;
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => {
+          Promise.resolve()
+            .then(() => options.parse(line, emitTitles))
+            .then(emitTitles)
+            .catch(error => console.warn(`No se pudo leer la lista de ventanas (${name}):`, error.message));
+        });
+      });
+      current.child.once('error', stopWith);
+      current.child.once('exit', code => stopWith(new Error(`${name} terminó con código ${code}`)));
+    },
+    stop() {
+      if (options.onStop) options.onStop();
+      if (!run) return;
+      run.stopped = true;
+      run.child.kill();
+      run = null;
+    }
+  };
+}
+
+function createWindowsSource() {
+  const script = [
+    "$last = ''",
+    'while ($true) {',
+    `  $titles = ConvertTo-Json -Compress -InputObject @(Get-Process ${PROCESS_NAME} -ErrorAction SilentlyContinue | ` +
+      'Where-Object { $_.MainWindowTitle } | ForEach-Object { $_.MainWindowTitle })',
+    '  if ($titles -ne $last) { $last = $titles; [Console]::Out.WriteLine($titles); [Console]::Out.Flush() }',
+    `  Start-Sleep -Milliseconds ${HELPER_INTERVAL_MS}`,
+    '}'
+  ].join('\n');
+  return createHelperSource('powershell', 'powershell', ['-NoProfile', '-NonInteractive', '-Command', script], {
+    parse: parseJsonTitles
+  });
+}
+
+function createX11Source() {
+  let refreshTimer = null;
+  const readTitles = async ids => (ids.length
+    ? parseXpropTitles(await runCommand(ids.map(id => `xprop -id ${id} _NET_WM_NAME`).join('; ')))
+    : []);
+  return createHelperSource('xprop', 'xprop', ['-spy', '-root', '_NET_CLIENT_LIST'], {
+    parse: (line, emitTitles) => {
+      const ids = line.match(/0x[0-9a-f]+/gi) || [];
+      // SDL puede poner el título justo después de mapear la ventana; se repite la lectura una vez
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => {
+        readTitles(ids).then(emitTitles).catch(() => {});
+      }, TITLE_REFRESH_DELAY_MS);
+      return readTitles(ids);
+    },
+    onStop: () => clearTimeout(refreshTimer)
+  });
+}
+
+function createMacSource() {
+  const script = [
+    "const events = Application('System Events');",
+    'let last = null;',
+    'while (true) {',
+    `  const titles = events.processes.whose({ name: '${PROCESS_NAME}' })().flatMap(item => item.windows.name());`,
+    '  const json = JSON.stringify(titles);',
+    '  if (json !== last) { last = json; console.log(json); }',
+    `  delay(${HELPER_INTERVAL_MS / 1000});`,
+    '}'
+  ].join('\n');
+  return createHelperSource('osascript', 'osascript', ['-l', 'JavaScript', '-e', script], {
+    stream: 'stderr',
+    parse: parseJsonTitles
+  });
+}
+
+const PLATFORM_SOURCES = {
+  win32: [createWindowsSource],
+  linux: [createX11Source],
+  darwin: [createMacSource]
+};
+
+function createWindowTracker(options = {}) {
+  const absenceToleranceMs = options.absenceToleranceMs || ABSENCE_TOLERANCE_MS;
+  const sourceFactories = options.source
+    ? [() => options.source]
+    : [...(PLATFORM_SOURCES[process.platform] || [])];
+  const listeners = new Map();
+  let source = null;
+  let lastTitles = null;
+
+  function setVisible(entry, visible) {
+    clearTimeout(entry.absenceTimer);
+    entry.absenceTimer = null;
+    if (entry.visible === visible) return;
+    entry.visible = visible;
+    entry.callback(visible);
+  }
+
+  // Sin una fuente que pueda listar ventanas, la ventana se da por visible
+  // hasta que el proceso termine y se llame a unregister.
+  function markAllVisible() {
+    for (const entry of listeners.values()) {
+      entry.seen = true;
+      setVisible(entry, true);
+    }
+  }
+
+  function applyTitles(titles) {
+    lastTitles = titles;
+    const visibleTitles = new Set(titles.map(normalizeTitle));
+    for (const entry of listeners.values()) {
+      if (!entry.title || visibleTitles.has(entry.title)) {
+        entry.seen = true;
+        setVisible(entry, true);
+        continue;
+      }
+      if (!entry.seen || !entry.visible || entry.absenceTimer) continue;
+      entry.absenceTimer = setTimeout(() => {
+        entry.absenceTimer = null;
+        setVisible(entry, false);
+      }, absenceToleranceMs);
+      if (typeof entry.absenceTimer.unref === 'function') {
+        entry.absenceTimer.unref();
+      }
+    }
+  }
+
+  function startSource() {
+    if (source || !listeners.size) return;
+    if (!sourceFactories.length) {
+      markAllVisible();
+      return;
+    }
+    const current = sourceFactories[0]();
+    source = current;
+    current.start(
+      titles => {
+        if (source === current) applyTitles(titles);
+      },
+      error => {
+        if (source !== current) return;
+        console.warn(`No se pudo seguir las ventanas con ${current.name || 'la fuente'}:`, error.message);
+        source = null;
+        sourceFactories.shift();
+        startSource();
+      }
+    );
+  }
+
+  function stopSource() {
+    lastTitles = null;
+    if (!source) return;
+    const current = source;
+    source = null;
+    current.stop();
+  }
+
+  function register(id, title, callback) {
+    if (!id || typeof callback !== 'function') return;
+    listeners.set(id, {
+      title: normalizeTitle(title),
+      callback,
+      visible: false,
+      seen: false,
+      absenceTimer: null
+    });
+    if (source) {
+      if (lastTitles) applyTitles(lastTitles);
+      return;
+    }
+    startSource();
+  }
+
+  function unregister(id) {
+    const entry = listeners.get(id);
+    if (entry) clearTimeout(entry.absenceTimer);
+    listeners.delete(id);
+    if (!listeners.size) stopSource();
+  }
+
+  return { register, unregister };
+}
+
+const defaultTracker = createWindowTracker();
+
+module.exports = {
+  createWindowTracker,
+  register: defaultTracker.register,
+  unregister: defaultTracker.unregister
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createError } = require('./i18n');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const EOCD_MAX_COMMENT = 0xffff;
+const LOCAL_HEADER_SIZE = 30;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const EXTRACT_CHUNK_SIZE = 1024 * 1024;
+const CENTRAL_HEADER_SIZE = 46;
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+const MAX_STORED_SIZE = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit += 1) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+async function openFileSource(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    return {
+      size,
+      read: async (offset, length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+      },
+      close: () => handle.close()
+    };
+  } catch (error) {
+    await handle.close();
+    throw error;
+  }
+}
+
+function findEndOfCentralDirectory(tail) {
+  for (let offset = tail.length - EOCD_MIN_SIZE; offset >= 0; offset -= 1) {
+    if (tail.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+function parseCentralDirectory(buffer) {
+  const entries = new Map();
+  let offset = 0;
+  while (offset + 46 <= buffer.length && buffer.readUInt32LE(offset) === CENTRAL_SIGNATURE) {
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      name,
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      size: buffer.readUInt32LE(offset + 24),
+      localHeaderOffset: buffer.readUInt32LE(offset + 42)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function openZip(source) {
+  if (!source || !Number.isFinite(source.size) || source.size < EOCD_MIN_SIZE) {
+    throw createError('ZIP_INVALID');
+  }
+
+  const tailLength = Math.min(source.size, EOCD_MIN_SIZE + EOCD_MAX_COMMENT);
+  const tail = await source.read(source.size - tailLength, tailLength);
+  const eocdOffset = findEndOfCentralDirectory(tail);
+  if (eocdOffset === -1) {
+    throw createError('ZIP_CENTRAL_DIRECTORY_MISSING');
+  }
+
+  const centralSize = tail.readUInt32LE(eocdOffset + 12);
+  const centralOffset = tail.readUInt32LE(eocdOffset + 16);
+  if (centralOffset === 0xffffffff || centralOffset + centralSize > source.size) {
+    throw createError('ZIP_CENTRAL_DIRECTORY_UNSUPPORTED');
+  }
+
+  const tailStart = source.size - tailLength;
+  const central = centralOffset >= tailStart
+    ? tail.subarray(centralOffset - tailStart, centralOffset - tailStart + centralSize)
+    : await source.read(centralOffset, centralSize);
+  const entries = parseCentralDirectory(central);
+
+  async function locateData(entry) {
+    const header = await source.read(entry.localHeaderOffset, LOCAL_HEADER_SIZE);
+    if (header.length < LOCAL_HEADER_SIZE || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+      throw createError('ZIP_LOCAL_HEADER_INVALID', { entry: entry.name });
+    }
+    return entry.localHeaderOffset + LOCAL_HEADER_SIZE +
+      header.readUInt16LE(26) + header.readUInt16LE(28);
+  }
+
+  async function readEntry(name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+
+    const data = await source.read(await locateData(entry), entry.compressedSize);
+
+    if (entry.method === METHOD_STORED) return data;
+    if (entry.method === METHOD_DEFLATED) return zlib.inflateRawSync(data);
+    throw createError('ZIP_METHOD_UNSUPPORTED', { entry: name, method: entry.method });
+  }
+
+  async function extractEntry(name, destination) {
+    const entry = entries.get(name);
+    if (!entry) return false;
+    if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATED) {
+      throw createError('ZIP_METHOD_UNSUPPORTED', { entry: name, method: entry.method });
+    }
+
+    const dataOffset = await locateData(entry);
+    async function* chunks() {
+      for (let offset = 0; offset < entry.compressedSize; offset += EXTRACT_CHUNK_SIZE) {
+        yield await source.read(dataOffset + offset, Math.min(EXTRACT_CHUNK_SIZE, entry.compressedSize - offset));
+      }
+    }
+    const decoder = entry.method === METHOD_DEFLATED ? zlib.createInflateRaw() : new PassThrough();
+    await pipeline(chunks(), decoder, fs.createWriteStream(destination));
+    return true;
+  }
+
+  return { entries, readEntry, extractEntry };
+}
+
+function updateCrc32(crc, buffer) {
+  let value = crc ^ 0xffffffff;
+  for (let index = 0; index < buffer.length; index += 1) {
+    value = CRC_TABLE[(value ^ buffer[index]) & 0xff] ^ (value >>> 8);
+  }
+  return (value ^ 0xffffffff) >>> 0;
+}
+
+async function checksumFile(filePath) {
+  let crc = 0;
+  let size = 0;
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: EXTRACT_CHUNK_SIZE })) {
+    crc = updateCrc32(crc, chunk);
+    size += chunk.length;
+  }
+  return { crc, size };
+}
+
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+async function writeStoredZip(destination, files) {
+  const handle = await fs.promises.open(destination, 'w');
+  const records = [];
+  let offset = 0;
+  try {
+    for (const file of files) {
+      const { crc, size } = await checksumFile(file.path);
+      if (size > MAX_STORED_SIZE || offset + size > MAX_STORED_SIZE) {
+        throw createError('EXPORT_BUNDLE_TOO_LARGE', { file: file.name });
+      }
+      const name = Buffer.from(file.name, 'utf8');
+      const { time, date } = toDosDateTime(file.modified || new Date());
+
+      const header = Buffer.alloc(LOCAL_HEADER_SIZE);
+      header.writeUInt32LE(LOCAL_SIGNATURE, 0);
+      header.writeUInt16LE(ZIP_VERSION, 4);
+      header.writeUInt16LE(UTF8_FLAG, 6);
+      header.writeUInt16LE(METHOD_STORED, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt32LE(crc, 14);
+      header.writeUInt32LE(size, 18);
+      header.writeUInt32LE(size, 22);
+      header.writeUInt16LE(name.length, 26);
+      await handle.write(Buffer.concat([header, name]));
+      for await (const chunk of fs.createReadStream(file.path, { highWaterMark: EXTRACT_CHUNK_SIZE })) {
+        await handle.write(chunk);
+      }
+
+      records.push({ name, time, date, crc, size, offset });
+      offset += LOCAL_HEADER_SIZE + name.length + size;
+    }
+
+    const central = Buffer.concat(records.map(record => {
+      const header = Buffer.alloc(CENTRAL_HEADER_SIZE);
+      header.writeUInt32LE(CENTRAL_SIGNATURE, 0);
+      header.writeUInt16LE(ZIP_VERSION, 4);
+      header.writeUInt16LE(ZIP_VERSION, 6);
+      header.writeUInt16LE(UTF8_FLAG, 8);
+      header.writeUInt16LE(METHOD_STORED, 10);
+      header.writeUInt16LE(record.time, 12);
+      header.writeUInt16LE(record.date, 14);
+      header.writeUInt32LE(record.crc, 16);
+      header.writeUInt32LE(record.size, 20);
+      header.writeUInt32LE(record.size, 24);
+      header.writeUInt16LE(record.name.length, 28);
+      header.writeUInt32LE(record.offset, 42);
+      return Buffer.concat([header, record.name]);
+    }));
+
+    const end = Buffer.alloc(EOCD_MIN_SIZE);
+    end.writeUInt32LE(EOCD_SIGNATURE, 0);
+    end.writeUInt16LE(records.length, 8);
+    end.writeUInt16LE(records.length, 10);
+    end.writeUInt32LE(central.length, 12);
+    end.writeUInt32LE(offset, 16);
+    await handle.write(Buffer.concat([central, end]));
+  } catch (error) {
+    await handle.close();
+    await fs.promises.rm(destination, { force: true });
+    throw error;
+  }
+  await handle.close();
+}
+
+module.exports = {
+  openFileSource,
+  openZip,
+  writeStoredZip
+};